@@ -1,15 +1,22 @@
 import { Queue } from "bullmq";
 import redis from "./redis.js";
 
+export const queueConnection = {
+  host: process.env.REDIS_HOST || "localhost",
+  port: process.env.REDIS_PORT || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+};
+
 let bulkTransferQueue = null;
+let reconciliationQueue = null;
+let exportQueue = null;
+let requestExpiryQueue = null;
+let dailyMintQueue = null;
+let banExpiryQueue = null;
 
 try {
   bulkTransferQueue = new Queue("bulk-transfer", {
-    connection: {
-      host: process.env.REDIS_HOST || "localhost",
-      port: process.env.REDIS_PORT || 6379,
-      password: process.env.REDIS_PASSWORD || undefined,
-    },
+    connection: queueConnection,
     defaultJobOptions: {
       attempts: 3,
       backoff: {
@@ -26,6 +33,104 @@ try {
   console.log("⚠️  BullMQ queue not initialized - Redis not available. Bulk transfer feature disabled.");
 }
 
-export { bulkTransferQueue };
-export default bulkTransferQueue;
+try {
+  reconciliationQueue = new Queue("ledger-reconciliation", {
+    connection: queueConnection,
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: {
+        age: 86400,
+        count: 100,
+      },
+    },
+  });
+} catch (error) {
+  console.log("⚠️  BullMQ queue not initialized - Redis not available. Scheduled reconciliation disabled.");
+}
+
+try {
+  exportQueue = new Queue("transaction-export", {
+    connection: queueConnection,
+    defaultJobOptions: {
+      attempts: 2,
+      backoff: {
+        type: "fixed",
+        delay: 5000,
+      },
+      removeOnComplete: {
+        age: 86400,
+        count: 1000,
+      },
+    },
+  });
+} catch (error) {
+  console.log("⚠️  BullMQ queue not initialized - Redis not available. Export jobs disabled.");
+}
+
+try {
+  requestExpiryQueue = new Queue("request-expiry", {
+    connection: queueConnection,
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: {
+        age: 86400,
+        count: 100,
+      },
+    },
+  });
+} catch (error) {
+  console.log("⚠️  BullMQ queue not initialized - Redis not available. Request expiry disabled.");
+}
+
+try {
+  dailyMintQueue = new Queue("daily-mint", {
+    connection: queueConnection,
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: {
+        age: 7 * 86400,
+        count: 100,
+      },
+    },
+  });
+} catch (error) {
+  console.log("⚠️  BullMQ queue not initialized - Redis not available. Scheduled daily mint disabled.");
+}
 
+try {
+  banExpiryQueue = new Queue("ban-expiry", {
+    connection: queueConnection,
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: {
+        age: 86400,
+        count: 100,
+      },
+    },
+  });
+} catch (error) {
+  console.log("⚠️  BullMQ queue not initialized - Redis not available. Timed ban expiry disabled.");
+}
+
+const LIVE_JOB_STATES = ["active", "waiting", "delayed", "prioritized", "waiting-children"];
+
+/**
+ * Add a job under a fixed ID. A job with that ID that is still waiting or
+ * running is returned as is; a failed or finished one is removed first, since
+ * BullMQ would otherwise swallow the new job as a duplicate.
+ */
+export const addUniqueJob = async (queue, name, data, opts) => {
+  const existing = await queue.getJob(opts.jobId);
+  if (existing) {
+    const state = await existing.getState();
+    if (LIVE_JOB_STATES.includes(state)) {
+      return existing;
+    }
+    await existing.remove();
+  }
+
+  return queue.add(name, data, opts);
+};
+
+export { bulkTransferQueue, reconciliationQueue, exportQueue, requestExpiryQueue, dailyMintQueue, banExpiryQueue };
+export default bulkTransferQueue;
@@ -0,0 +1,9 @@
+// Socket.io server for code outside the request cycle (workers), which
+// cannot reach req.app.get("io"). Null in serverless deployments.
+let socketServer = null;
+
+export const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+export const getSocketServer = () => socketServer;
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import {
+  ADMIN_ACTION_TYPES,
+  DUAL_APPROVAL_THRESHOLD,
+  approveAdminAction,
+  rejectAdminAction,
+  AdminActionError,
+} from "../utils/adminActions.js";
+import { formatChips } from "../utils/chipAmount.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Manual transfers, mints and recoveries awaiting a second admin (admin only).
+ * `mine=true` lists the caller's own, which they cannot decide.
+ */
+export const getPendingApprovals = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, mine } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const query = { type: { $in: ADMIN_ACTION_TYPES }, status: "pending" };
+    query.adminId = mine === "true" ? req.user._id : { $ne: req.user._id };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .populate("fromUserId toUserId adminId", "name email")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Transaction.countDocuments(query),
+    ]);
+
+    res.json({
+      threshold: DUAL_APPROVAL_THRESHOLD === null ? null : formatChips(DUAL_APPROVAL_THRESHOLD),
+      approvals: transactions.map((tx) => ({
+        ...tx,
+        amount: tx.amount.toString(),
+        initiatedBy: tx.adminId,
+        isMint: tx.type === "manual" && !tx.fromUserId,
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get pending approvals error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const decide = (action) => async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { transactionId } = req.params;
+    const context = { checkerId: req.user._id, reason: req.body?.reason };
+
+    let result;
+    try {
+      result = action === "approve"
+        ? await approveAdminAction(transactionId, context, session)
+        : await rejectAdminAction(transactionId, context, session);
+    } catch (err) {
+      if (!(err instanceof AdminActionError)) throw err;
+      await session.abortTransaction();
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    await session.commitTransaction();
+
+    const { tx } = result;
+    const userIds = [tx.fromUserId, tx.toUserId].filter(Boolean).map((id) => id.toString());
+    const io = req.app.get("io");
+
+    if (action === "approve") {
+      await invalidateBalanceCache(userIds);
+      if (io) {
+        io.emit("balanceUpdated", { userIds });
+        io.emit("transactionCreated", { transactionId: tx._id.toString() });
+      }
+    } else if (io) {
+      io.emit("transactionCreated", { transactionId: tx._id.toString() });
+    }
+
+    logger.info(`${tx.type} ${tx._id} ${action === "approve" ? "approved" : "rejected"} by second admin ${req.user.email}`);
+
+    res.json({
+      message: action === "approve" ? "Action approved and settled" : "Action rejected",
+      transaction: {
+        ...tx.toObject(),
+        amount: tx.amount.toString(),
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Dual approval ${action} error:`, error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Approve another admin's pending action; chips move now
+ */
+export const approvePendingAction = decide("approve");
+
+/**
+ * Reject another admin's pending action; no chips move
+ */
+export const rejectPendingAction = decide("reject");
@@ -34,6 +34,7 @@ export const login = async (req, res) => {
         message: "Account is banned",
         banReason: user.banReason,
         bannedAt: user.bannedAt,
+        banExpiresAt: user.banExpiresAt,
       });
     }
 
@@ -1,6 +1,14 @@
 import User from "../models/User.js";
 import { getCachedBalance, setCachedBalance } from "../utils/cache.js";
 import logger from "../utils/logger.js";
+import { dailyBonusStatus } from "../utils/dailyBonus.js";
+
+// The cached entry keeps the stored claim state; claim status depends on the
+// current time, so it is derived on every response
+const withDailyBonus = ({ dailyBonus, ...user }) => ({
+  ...user,
+  dailyBonus: dailyBonusStatus(dailyBonus),
+});
 
 export const getBalance = async (req, res) => {
   try {
@@ -14,10 +22,10 @@ export const getBalance = async (req, res) => {
     } else {
       const cached = await getCachedBalance(req.user._id.toString());
       if (cached) {
-        return res.json(JSON.parse(cached));
+        return res.json(withDailyBonus(JSON.parse(cached)));
       }
 
-      const user = await User.findById(req.user._id).select("name email balance createdAt");
+      const user = await User.findById(req.user._id).select("name email balance createdAt dailyBonus");
       if (!user) {
         return res.status(404).json({ message: "User not found" });
       }
@@ -28,7 +36,7 @@ export const getBalance = async (req, res) => {
       };
 
       await setCachedBalance(req.user._id.toString(), JSON.stringify(formattedUser));
-      res.json(formattedUser);
+      res.json(withDailyBonus(formattedUser));
     }
   } catch (error) {
     logger.error("Get balance error:", error);
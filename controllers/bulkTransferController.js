@@ -1,65 +1,592 @@
 import { bulkTransferQueue } from "../config/queue.js";
-import { parseBulkTransferCSV } from "../utils/csvHandler.js";
+import BulkTransferBatch from "../models/BulkTransferBatch.js";
+import BulkTransferRow from "../models/BulkTransferRow.js";
+import { createBulkResultCsvStringifier, formatBulkResultRow } from "../utils/csvHandler.js";
+import { parseBulkTransferInput, BULK_INPUT_FORMATS } from "../utils/bulkTransferInput.js";
+import { simulateBulkTransfers } from "../utils/bulkTransferSimulation.js";
+import {
+  BULK_CHUNK_SIZE,
+  BULK_ATOMIC_MAX_ROWS,
+  chunkJobId,
+  enqueueChunk,
+  enqueueBatchReversal,
+  removeQueuedChunks,
+  refreshBatchCounts,
+} from "../utils/bulkTransferChunks.js";
+import { requiresSecondApproval } from "../utils/adminActions.js";
+import { addChips, formatChips } from "../utils/chipAmount.js";
 import fs from "fs";
 import logger from "../utils/logger.js";
 
+const isDryRun = (req) => String(req.query.dryRun ?? req.body?.dryRun ?? "false") === "true";
+
+export const BULK_TRANSFER_MODES = ["atomic", "best-effort"];
+
+const getMode = (req) => req.query.mode || req.body?.mode || "best-effort";
+
+const INPUT_REQUIRED = `A ${BULK_INPUT_FORMATS.map((f) => f.toUpperCase()).join(", ")} file or a JSON transfers array is required`;
+
+const removeUpload = (req) => {
+  if (req.file && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+};
+
+/**
+ * Validate and simulate a bulk transfer file without enqueuing anything
+ */
+export const previewBulkTransfer = async (req, res) => {
+  try {
+    const input = await parseBulkTransferInput(req);
+    removeUpload(req);
+
+    if (!input) {
+      return res.status(400).json({ message: INPUT_REQUIRED });
+    }
+
+    const { format, transfers, errors } = input;
+
+    const mode = getMode(req);
+    if (!BULK_TRANSFER_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${BULK_TRANSFER_MODES.join(", ")}` });
+    }
+
+    const simulation = await simulateBulkTransfers(transfers);
+    // In atomic mode a single failed row means nothing is applied
+    simulation.summary.wouldApply = mode === "atomic" && simulation.summary.failed > 0
+      ? 0
+      : simulation.summary.succeeded;
+
+    logger.info(`Bulk transfer preview by admin ${req.user.email}: ${transfers.length} rows, ${errors.length} parse errors`);
+
+    res.json({
+      dryRun: true,
+      format,
+      mode,
+      valid: errors.length === 0 && simulation.summary.failed === 0,
+      parseErrors: errors,
+      ...simulation,
+    });
+  } catch (error) {
+    removeUpload(req);
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error("Bulk transfer preview error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 export const bulkTransfer = async (req, res) => {
+  if (isDryRun(req)) {
+    return previewBulkTransfer(req, res);
+  }
+
   try {
     if (!bulkTransferQueue) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
+      removeUpload(req);
       return res.status(503).json({ 
         message: "Bulk transfer service unavailable - Redis not connected. Please install and start Redis to use this feature." 
       });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ message: "CSV file is required" });
+    const mode = getMode(req);
+    if (!BULK_TRANSFER_MODES.includes(mode)) {
+      removeUpload(req);
+      return res.status(400).json({ message: `mode must be one of: ${BULK_TRANSFER_MODES.join(", ")}` });
+    }
+
+    const input = await parseBulkTransferInput(req);
+    removeUpload(req);
+
+    if (!input) {
+      return res.status(400).json({ message: INPUT_REQUIRED });
     }
 
-    const { transfers, errors } = await parseBulkTransferCSV(req.file.path);
+    const { format, transfers, errors } = input;
 
     if (errors.length > 0) {
-      fs.unlinkSync(req.file.path);
       return res.status(400).json({
-        message: "CSV validation errors",
+        message: "Bulk transfer validation errors",
         errors,
       });
     }
 
     if (transfers.length === 0) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ message: "No valid transfers found in CSV" });
+      return res.status(400).json({ message: "No valid transfers found in input" });
+    }
+
+    if (mode === "atomic" && transfers.length > BULK_ATOMIC_MAX_ROWS) {
+      return res.status(400).json({
+        message: `Atomic batches are limited to ${BULK_ATOMIC_MAX_ROWS} rows; split the file or use best-effort mode`,
+      });
     }
 
     const batchId = `bulk-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
 
-    await bulkTransferQueue.add("process-bulk-transfer", {
-      transfers,
+    // Dual approval applies to the batch as a whole, so splitting a large
+    // mint or transfer into rows does not get around it
+    const totalAmount = transfers.reduce((sum, t) => addChips(sum, t.amount), 0n);
+    const secondApproval = requiresSecondApproval(totalAmount);
+
+    // Atomic batches must commit in one transaction, so they are one chunk
+    const chunkSize = mode === "atomic" ? transfers.length : BULK_CHUNK_SIZE;
+    const totalChunks = Math.ceil(transfers.length / chunkSize);
+
+    await BulkTransferBatch.create({
+      batchId,
+      status: secondApproval ? "pending_approval" : "queued",
+      totalAmount: formatChips(totalAmount),
+      mode,
+      fileName: req.file ? req.file.originalname : null,
+      format,
+      totalRows: transfers.length,
+      totalChunks,
       adminId: req.user._id,
       adminIp,
       adminUserAgent,
-      batchId,
     });
 
-    fs.unlinkSync(req.file.path);
+    for (let start = 0; start < transfers.length; start += BULK_CHUNK_SIZE) {
+      await BulkTransferRow.insertMany(
+        transfers.slice(start, start + BULK_CHUNK_SIZE).map((t, i) => ({
+          batchId,
+          rowNumber: t.row,
+          chunkIndex: Math.floor((start + i) / chunkSize),
+          fromUserId: t.fromUserId,
+          toUserId: t.toUserId,
+          amount: t.amount,
+          reason: t.reason,
+        }))
+      );
+    }
 
-    logger.info(`Bulk transfer queued: batch ${batchId} by admin ${req.user.email}, ${transfers.length} transfers`);
+    if (secondApproval) {
+      logger.info(`Bulk transfer ${batchId} by admin ${req.user.email} awaiting second approval (${formatChips(totalAmount)} chips)`);
+
+      const io = req.app.get("io");
+      if (io) {
+        io.emit("approvalRequested", { batchId, type: "bulk-transfer" });
+      }
+
+      return res.status(202).json({
+        message: "Bulk transfer awaiting approval by a second admin",
+        batchId,
+        mode,
+        format,
+        transfersCount: transfers.length,
+        totalAmount: formatChips(totalAmount),
+        totalChunks,
+        status: "pending_approval",
+      });
+    }
+
+    await enqueueChunk(batchId, 0);
+
+    logger.info(`Bulk transfer queued: batch ${batchId} (${mode}) by admin ${req.user.email}, ${transfers.length} transfers`);
 
     res.json({
       message: "Bulk transfer queued successfully",
       batchId,
+      mode,
+      format,
       transfersCount: transfers.length,
+      totalChunks,
       status: "processing",
     });
   } catch (error) {
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
+    removeUpload(req);
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
     }
     logger.error("Bulk transfer error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+/**
+ * Status of a bulk transfer batch: queue state, progress, counts and per-row errors
+ */
+export const getBulkTransferStatus = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { page = 1, limit = 100 } = req.query;
+
+    const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+    if (!batch) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    let queueState = null;
+    if (bulkTransferQueue) {
+      try {
+        const currentChunk = Math.min(batch.lastCompletedChunk + 1, batch.totalChunks - 1);
+        const job = await bulkTransferQueue.getJob(chunkJobId(batchId, currentChunk));
+        queueState = job ? await job.getState() : "removed";
+      } catch (err) {
+        // Redis unavailable; fall back to the stored batch status
+      }
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const errorRows = await BulkTransferRow.find({ batchId, status: { $in: ["failed", "skipped"] } })
+      .sort({ rowNumber: 1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .lean();
+
+    const reversalFailures = batch.reversal?.status
+      ? await BulkTransferRow.find({ batchId, reversalStatus: "failed" }).sort({ rowNumber: 1 }).limit(Number(limit)).lean()
+      : [];
+
+    const progress = batch.totalRows > 0
+      ? Math.round((batch.processedRows / batch.totalRows) * 10000) / 100
+      : 100;
+
+    res.json({
+      batchId: batch.batchId,
+      mode: batch.mode,
+      format: batch.format,
+      status: batch.status,
+      queueState,
+      progress,
+      totalRows: batch.totalRows,
+      totalChunks: batch.totalChunks,
+      totalAmount: batch.totalAmount,
+      approval: batch.approval?.outcome ? batch.approval : null,
+      lastCompletedChunk: batch.lastCompletedChunk,
+      processedRows: batch.processedRows,
+      successCount: batch.successCount,
+      failedCount: batch.failedCount,
+      cancelledCount: batch.cancelledCount,
+      startedAt: batch.startedAt,
+      completedAt: batch.completedAt,
+      cancelledAt: batch.cancelledAt,
+      error: batch.error,
+      errors: errorRows.map((row) => ({ row: row.rowNumber, status: row.status, error: row.error })),
+      reversal: batch.reversal?.status ? batch.reversal : null,
+      reversalFailures: reversalFailures.map((row) => ({
+        row: row.rowNumber,
+        transactionId: row.transactionId,
+        error: row.reversalError,
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total: batch.failedCount,
+        totalPages: Math.ceil(batch.failedCount / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Bulk transfer status error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Resume a batch from its last committed chunk, e.g. after its job ran out
+ * of retries or the queue lost it. Rows already applied are never re-applied.
+ */
+export const resumeBulkTransfer = async (req, res) => {
+  try {
+    if (!bulkTransferQueue) {
+      return res.status(503).json({ message: "Bulk transfer service unavailable - Redis not connected." });
+    }
+
+    const { batchId } = req.params;
+    const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+    if (!batch) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    const nextPending = await BulkTransferRow.findOne({ batchId, status: "pending" })
+      .sort({ chunkIndex: 1, rowNumber: 1 })
+      .lean();
+
+    if (!nextPending) {
+      return res.status(400).json({ message: "Batch has no pending rows to resume" });
+    }
+
+    if (!["queued", "processing", "failed"].includes(batch.status)) {
+      return res.status(400).json({ message: `Cannot resume a batch that is ${batch.status}` });
+    }
+
+    await BulkTransferBatch.updateOne({ batchId }, { $set: { status: "queued", error: null, completedAt: null } });
+    await enqueueChunk(batchId, nextPending.chunkIndex);
+
+    logger.info(`Bulk transfer batch ${batchId} resumed from chunk ${nextPending.chunkIndex} by admin ${req.user.email}`);
+
+    res.json({
+      message: "Bulk transfer resumed",
+      batchId,
+      resumedFromChunk: nextPending.chunkIndex,
+      totalChunks: batch.totalChunks,
+    });
+  } catch (error) {
+    logger.error("Bulk transfer resume error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Load a batch awaiting approval, refusing the admin who uploaded it
+const claimPendingBatch = async (batchId, checkerId, update) => {
+  const batch = await BulkTransferBatch.findOneAndUpdate(
+    { batchId, status: "pending_approval", adminId: { $ne: checkerId } },
+    { $set: update },
+    { new: true }
+  ).lean();
+  if (batch) return { batch };
+
+  const existing = await BulkTransferBatch.findOne({ batchId }).select("status adminId").lean();
+  if (!existing) return { status: 404, message: "Batch not found" };
+  if (existing.status !== "pending_approval") {
+    return { status: 400, message: `Batch is ${existing.status}, not awaiting approval` };
+  }
+  return { status: 403, message: "You cannot approve or reject your own bulk transfer" };
+};
+
+/**
+ * Second-admin approval of a batch held for dual approval; the batch is
+ * queued and runs like any other.
+ */
+export const approveBulkTransfer = async (req, res) => {
+  try {
+    if (!bulkTransferQueue) {
+      return res.status(503).json({ message: "Bulk transfer service unavailable - Redis not connected." });
+    }
+
+    const { batchId } = req.params;
+    const { batch, status, message } = await claimPendingBatch(batchId, req.user._id, {
+      status: "queued",
+      approval: {
+        outcome: "approved",
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
+        reason: req.body?.reason,
+      },
+    });
+    if (!batch) {
+      return res.status(status).json({ message });
+    }
+
+    await enqueueChunk(batchId, 0);
+
+    logger.info(`Bulk transfer ${batchId} approved and queued by second admin ${req.user.email}`);
+
+    res.json({
+      message: "Bulk transfer approved and queued",
+      batchId,
+      status: "queued",
+      totalAmount: batch.totalAmount,
+    });
+  } catch (error) {
+    logger.error("Bulk transfer approval error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Second-admin rejection of a batch held for dual approval; none of its
+ * rows ever run.
+ */
+export const rejectBulkTransfer = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const now = new Date();
+    const { batch, status, message } = await claimPendingBatch(batchId, req.user._id, {
+      status: "rejected",
+      completedAt: now,
+      approval: {
+        outcome: "rejected",
+        decidedBy: req.user._id,
+        decidedAt: now,
+        reason: req.body?.reason,
+      },
+    });
+    if (!batch) {
+      return res.status(status).json({ message });
+    }
+
+    await BulkTransferRow.updateMany(
+      { batchId, status: "pending" },
+      { $set: { status: "cancelled", error: "Batch rejected" } }
+    );
+    const counts = await refreshBatchCounts(batchId);
+
+    logger.info(`Bulk transfer ${batchId} rejected by second admin ${req.user.email}`);
+
+    res.json({
+      message: "Bulk transfer rejected",
+      batchId,
+      status: "rejected",
+      ...counts,
+    });
+  } catch (error) {
+    logger.error("Bulk transfer rejection error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Stop a batch that has not finished. Rows already committed stay applied;
+ * pending rows are marked cancelled and never run.
+ */
+export const cancelBulkTransfer = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = await BulkTransferBatch.findOneAndUpdate(
+      { batchId, status: { $in: ["pending_approval", "queued", "processing"] } },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancelledBy: req.user._id,
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!batch) {
+      const existing = await BulkTransferBatch.findOne({ batchId }).select("status").lean();
+      if (!existing) {
+        return res.status(404).json({ message: "Batch not found" });
+      }
+      return res.status(400).json({ message: `Cannot cancel a batch that is ${existing.status}` });
+    }
+
+    await BulkTransferRow.updateMany(
+      { batchId, status: "pending" },
+      { $set: { status: "cancelled", error: "Batch cancelled" } }
+    );
+
+    if (bulkTransferQueue) {
+      try {
+        await removeQueuedChunks(batch);
+      } catch (err) {
+        // Chunks left in the queue skip themselves once they see the status
+        logger.warn(`Could not remove queued chunks for ${batchId}: ${err.message}`);
+      }
+    }
+
+    const counts = await refreshBatchCounts(batchId);
+
+    logger.info(`Bulk transfer batch ${batchId} cancelled by admin ${req.user.email}`);
+
+    res.json({
+      message: "Bulk transfer cancelled",
+      batchId,
+      status: "cancelled",
+      ...counts,
+    });
+  } catch (error) {
+    logger.error("Bulk transfer cancel error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Roll back every committed row of a finished or cancelled batch. Each row
+ * is reversed with a linked reversal transaction; rows that cannot be
+ * reversed are listed in the batch status.
+ */
+export const reverseBulkTransfer = async (req, res) => {
+  try {
+    if (!bulkTransferQueue) {
+      return res.status(503).json({ message: "Bulk transfer service unavailable - Redis not connected." });
+    }
+
+    const { batchId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: "Reversal reason is required" });
+    }
+
+    const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+    if (!batch) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    if (["queued", "processing"].includes(batch.status)) {
+      return res.status(400).json({ message: "Cancel the batch or wait for it to finish before reversing it" });
+    }
+
+    const hasRowsToReverse = await BulkTransferRow.exists({
+      batchId,
+      status: "succeeded",
+      reversalStatus: { $ne: "reversed" },
+    });
+    if (!hasRowsToReverse) {
+      return res.status(400).json({ message: "Batch has no committed rows to reverse" });
+    }
+
+    const claimed = await BulkTransferBatch.updateOne(
+      { batchId, "reversal.status": { $nin: ["queued", "processing"] } },
+      {
+        $set: {
+          reversal: {
+            status: "queued",
+            reason: reason.trim(),
+            requestedBy: req.user._id,
+            requestedAt: new Date(),
+            reversedCount: batch.reversal?.reversedCount || 0,
+            failedCount: 0,
+          },
+        },
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({ message: "Batch reversal already in progress" });
+    }
+
+    await enqueueBatchReversal(batchId);
+
+    logger.info(`Bulk transfer batch ${batchId} reversal queued by admin ${req.user.email}`);
+
+    res.json({
+      message: "Bulk transfer reversal queued",
+      batchId,
+      reversalStatus: "queued",
+    });
+  } catch (error) {
+    logger.error("Bulk transfer reversal error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download the batch result report as CSV, streamed row by row
+ */
+export const downloadBulkTransferReport = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+    if (!batch) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    const stringifier = createBulkResultCsvStringifier();
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${batchId}-report.csv"`);
+    res.write(stringifier.getHeaderString());
+
+    const cursor = BulkTransferRow.find({ batchId }).sort({ rowNumber: 1 }).lean().cursor();
+    for await (const row of cursor) {
+      res.write(stringifier.stringifyRecords([formatBulkResultRow(row)]));
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error("Bulk transfer report error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    } else {
+      res.end();
+    }
+  }
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import logger from "../utils/logger.js";
+import { formatChips } from "../utils/chipAmount.js";
+import { claimDailyBonus, dailyBonusStatus, DailyBonusError } from "../utils/dailyBonus.js";
+
+export const claimBonus = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let claim;
+    try {
+      claim = await claimDailyBonus(req.user._id, session);
+    } catch (err) {
+      if (!(err instanceof DailyBonusError)) throw err;
+      await session.abortTransaction();
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    await session.commitTransaction();
+
+    const userId = req.user._id.toString();
+    await invalidateBalanceCache([userId]);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.emit("balanceUpdated", { userIds: [userId] });
+      io.emit("transactionCreated", { transactionId: claim.transaction._id.toString() });
+    }
+
+    logger.info(`Daily bonus claimed by ${req.user.email}: ${formatChips(claim.reward)} (streak ${claim.streak})`);
+
+    res.json({
+      message: "Daily bonus claimed",
+      reward: formatChips(claim.reward),
+      balance: claim.user.balance.toString(),
+      transactionId: claim.transaction._id,
+      dailyBonus: dailyBonusStatus(claim.user.dailyBonus),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error("Daily bonus claim error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
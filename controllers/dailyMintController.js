@@ -1,84 +1,183 @@
-import mongoose from "mongoose";
-import User from "../models/User.js";
-import Transaction from "../models/Transaction.js";
-import { invalidateBalanceCache } from "../utils/cache.js";
+import DailyMintRun from "../models/DailyMintRun.js";
 import logger from "../utils/logger.js";
+import {
+  previewDailyMint,
+  startDailyMint,
+  resumeDailyMint,
+  startDailyMintReversal,
+  DailyMintError,
+} from "../utils/dailyMint.js";
 
-export const dailyMint = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const isDryRun = (req) => String(req.query.dryRun ?? req.body?.dryRun ?? "false") === "true";
 
+/**
+ * Dry run of today's mint: eligible recipients per tier, a sample of
+ * recipients and the supply impact. Nothing is written.
+ */
+export const previewDailyMintRun = async (req, res) => {
   try {
-    const FIXED_DAILY_MINT_AMOUNT = 10000;
-    const { amountPerUser } = req.body;
-    const mintAmount = amountPerUser !== undefined ? Number(amountPerUser) : FIXED_DAILY_MINT_AMOUNT;
+    const preview = await previewDailyMint({
+      amountPerUser: req.body?.amountPerUser,
+      limit: req.query.limit ?? 100,
+    });
+    res.json({ dryRun: true, ...preview });
+  } catch (error) {
+    logger.error("Daily mint preview error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
 
-    if (isNaN(mintAmount) || mintAmount <= 0) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "amountPerUser must be a positive number" });
-    }
+/**
+ * Queue today's mint for every eligible player. The run is processed in the
+ * background; the scheduled run goes through the same path, so a manual run
+ * and the scheduler can never both mint on the same UTC day.
+ */
+export const dailyMint = async (req, res) => {
+  if (isDryRun(req)) {
+    return previewDailyMintRun(req, res);
+  }
 
-    const users = await User.find({}).session(session);
-    if (users.length === 0) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "No users found" });
-    }
+  const { amountPerUser } = req.body;
 
-    const amtDec = mongoose.Types.Decimal128.fromString(String(mintAmount));
+  try {
     const { adminIp, adminUserAgent } = req.auditInfo || {};
-    const batchId = `daily-mint-${Date.now()}`;
-
-    const txs = [];
-    const userIds = [];
-
-    for (const user of users) {
-      const currentBalance = user.balance || mongoose.Types.Decimal128.fromString("0");
-      const newBalance = mongoose.Types.Decimal128.fromString(
-        String(Number(currentBalance.toString()) + mintAmount)
-      );
-      user.balance = newBalance;
-      await user.save({ session });
-
-      txs.push({
-        fromUserId: null,
-        toUserId: user._id,
-        amount: amtDec,
-        type: "daily-mint",
-        status: "approved",
-        batchId,
+
+    let result;
+    try {
+      result = await startDailyMint({
+        trigger: "manual",
         adminId: req.user._id,
         adminIp,
         adminUserAgent,
+        amountPerUser,
       });
+    } catch (err) {
+      if (!(err instanceof DailyMintError)) throw err;
+      return res.status(err.status).json({ message: err.message });
+    }
 
-      userIds.push(user._id.toString());
+    const { run, resumed } = result;
+    logger.info(`Daily mint ${resumed ? "resumed" : "queued"}: ${run.batchId} by admin ${req.user.email}`);
+
+    res.status(202).json({
+      message: resumed ? "Failed daily mint resumed" : "Daily mint queued",
+      runId: run._id,
+      runDate: run.runDate,
+      batchId: run.batchId,
+      estimatedRecipients: run.estimatedRecipients,
+    });
+  } catch (error) {
+    logger.error("Daily mint error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const formatRun = (run) => ({
+  ...run,
+  progress: run.status === "completed"
+    ? 100
+    : Math.min(Math.round((run.recipientCount / Math.max(run.estimatedRecipients, 1)) * 100), 99),
+});
+
+/**
+ * One mint run with its progress, checkpoint and, once done, summary.
+ */
+export const getDailyMintRun = async (req, res) => {
+  try {
+    const run = await DailyMintRun.findById(req.params.runId).populate("triggeredBy", "name email").lean();
+    if (!run) {
+      return res.status(404).json({ message: "Daily mint run not found" });
     }
 
-    await Transaction.insertMany(txs, { session });
-    await session.commitTransaction();
+    res.json(formatRun(run));
+  } catch (error) {
+    logger.error("Get daily mint run error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Resume a failed run from its last committed chunk.
+ */
+export const resumeDailyMintRun = async (req, res) => {
+  try {
+    let run;
+    try {
+      run = await resumeDailyMint(req.params.runId);
+    } catch (err) {
+      if (!(err instanceof DailyMintError)) throw err;
+      return res.status(err.status).json({ message: err.message });
+    }
 
-    await invalidateBalanceCache(userIds);
+    logger.info(`Daily mint ${run.batchId} resumed by admin ${req.user.email}`);
 
-    const io = req.app.get("io");
-    if (io) {
-      io.emit("balanceUpdated", { userIds });
-      io.emit("dailyMintCompleted", { batchId, count: users.length });
+    res.status(202).json({
+      message: "Daily mint resumed",
+      runId: run._id,
+      batchId: run.batchId,
+      recipientCount: run.recipientCount,
+    });
+  } catch (error) {
+    logger.error("Resume daily mint error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Past mint runs, newest first.
+ */
+export const getDailyMintRuns = async (req, res) => {
+  try {
+    const runs = await DailyMintRun.find({ legacy: { $ne: true } })
+      .sort({ runDate: -1 })
+      .limit(req.query.limit ?? 30)
+      .populate("triggeredBy", "name email")
+      .lean();
+
+    res.json({ runs: runs.map(formatRun) });
+  } catch (error) {
+    logger.error("Get daily mint runs error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Queue the rollback of a whole daily mint batch. Each mint is reversed in
+ * its own transaction in the background, debiting the recipient back to
+ * the mint; progress and mints that could not be reversed show on the run.
+ */
+export const reverseDailyMint = async (req, res) => {
+  const { batchId } = req.params;
+  const { reason, upToAvailableBalance } = req.body;
+  const { adminIp, adminUserAgent } = req.auditInfo || {};
+
+  try {
+    let run;
+    try {
+      run = await startDailyMintReversal(batchId, {
+        reason,
+        upToAvailable: upToAvailableBalance === true,
+        adminId: req.user._id,
+        adminIp,
+        adminUserAgent,
+      });
+    } catch (err) {
+      if (!(err instanceof DailyMintError)) throw err;
+      return res.status(err.status).json({ message: err.message });
     }
 
-    logger.info(`Daily mint completed: ${batchId} by admin ${req.user.email}, ${users.length} users`);
+    logger.info(`Daily mint ${batchId} reversal queued by admin ${req.user.email}`);
 
-    res.json({
-      message: "Daily mint applied successfully",
-      count: users.length,
-      amountPerUser: mintAmount.toString(),
+    res.status(202).json({
+      message: "Daily mint reversal queued",
+      runId: run._id,
       batchId,
+      reversalBatchId: `${batchId}-reversal`,
+      reversalStatus: run.reversal.status,
+      estimatedCount: run.reversal.estimatedCount,
     });
   } catch (error) {
-    await session.abortTransaction();
-    logger.error("Daily mint error:", error);
+    logger.error("Daily mint reversal error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
-  } finally {
-    session.endSession();
   }
 };
-
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
+import { exportQueue } from "../config/queue.js";
+import ExportJob from "../models/ExportJob.js";
+import {
+  EXPORT_FORMATS,
+  exportBucket,
+  createDownloadLink,
+  verifyDownloadToken,
+} from "../utils/transactionExport.js";
+import { TRANSACTION_FILTER_FIELDS, buildTransactionFilter, TransactionFilterError } from "../utils/transactionFilter.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Queue an export of the transactions matching `filters` (admin only)
+ */
+export const createExportJob = async (req, res) => {
+  try {
+    if (!exportQueue) {
+      return res.status(503).json({ message: "Export service unavailable - Redis not connected." });
+    }
+
+    const format = req.body.format || "csv";
+    const filters = Object.fromEntries(
+      TRANSACTION_FILTER_FIELDS.filter((field) => req.body.filters?.[field]).map((field) => [field, req.body.filters[field]])
+    );
+
+    try {
+      buildTransactionFilter(filters, req.user);
+    } catch (err) {
+      if (!(err instanceof TransactionFilterError)) throw err;
+      return res.status(err.status).json({ message: err.message });
+    }
+
+    const exportJob = await ExportJob.create({ format, filters, requestedBy: req.user._id });
+    await exportQueue.add("build-export", { exportJobId: exportJob._id.toString() }, { jobId: exportJob._id.toString() });
+
+    logger.info(`Export ${exportJob._id} (${format}) queued by admin ${req.user.email}`);
+
+    res.status(202).json({
+      message: "Export queued",
+      jobId: exportJob._id,
+      status: exportJob.status,
+      format,
+      filters,
+    });
+  } catch (error) {
+    logger.error("Create export job error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Poll an export job; completed jobs include a fresh expiring download link
+ */
+export const getExportJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ message: "Invalid export job ID" });
+    }
+
+    const exportJob = await ExportJob.findById(jobId).populate("requestedBy", "name email").lean();
+    if (!exportJob) {
+      return res.status(404).json({ message: "Export job not found" });
+    }
+
+    const progress = exportJob.status === "completed"
+      ? 100
+      : exportJob.totalRows > 0
+        ? Math.round((exportJob.rowCount / exportJob.totalRows) * 10000) / 100
+        : 0;
+
+    res.json({
+      jobId: exportJob._id,
+      status: exportJob.status,
+      format: exportJob.format,
+      filters: exportJob.filters,
+      requestedBy: exportJob.requestedBy,
+      progress,
+      totalRows: exportJob.totalRows,
+      rowCount: exportJob.rowCount,
+      fileName: exportJob.fileName,
+      size: exportJob.size,
+      createdAt: exportJob.createdAt,
+      startedAt: exportJob.startedAt,
+      completedAt: exportJob.completedAt,
+      fileExpiresAt: exportJob.expiresAt,
+      error: exportJob.error,
+      download: exportJob.status === "completed" && exportJob.fileId ? createDownloadLink(exportJob) : null,
+    });
+  } catch (error) {
+    logger.error("Get export job error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Download a finished export. Authorised by the signed `token` from the
+ * job status rather than a session, so the link works from a browser.
+ */
+export const downloadExport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!req.query.token || !verifyDownloadToken(req.query.token, jobId)) {
+      return res.status(403).json({ message: "Download link is invalid or has expired" });
+    }
+
+    const exportJob = await ExportJob.findById(jobId).lean();
+    if (!exportJob || !exportJob.fileId || exportJob.expiresAt <= new Date()) {
+      return res.status(410).json({ message: "Export file is no longer available" });
+    }
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[exportJob.format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exportJob.fileName}"`);
+    if (exportJob.size) res.setHeader("Content-Length", exportJob.size);
+
+    await pipeline(exportBucket().openDownloadStream(exportJob.fileId), res);
+  } catch (error) {
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+
+    logger.error("Download export error:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+};
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import logger from "../utils/logger.js";
+import { formatChips, addChips, subtractChips } from "../utils/chipAmount.js";
+import { SYSTEM_ACCOUNTS, isUserAccount, userAccount, getAccountBalances } from "../utils/ledger.js";
+
+/**
+ * Prove total supply from the ledger (admin only).
+ * Chips held by users must equal what the mint issued minus what was burned,
+ * and the ledger must agree with the sum of User.balance.
+ */
+export const getSupply = async (req, res) => {
+  try {
+    const balances = await getAccountBalances();
+
+    let userTotal = 0n;
+    let netTotal = 0n;
+    const systemAccounts = {};
+    Object.values(SYSTEM_ACCOUNTS).forEach((account) => {
+      systemAccounts[account] = "0";
+    });
+
+    Object.entries(balances).forEach(([account, balance]) => {
+      netTotal = addChips(netTotal, balance);
+      if (isUserAccount(account)) {
+        userTotal = addChips(userTotal, balance);
+      } else {
+        systemAccounts[account] = balance;
+      }
+    });
+
+    const [stored] = await User.aggregate([
+      { $group: { _id: null, total: { $sum: "$balance" } } },
+    ]);
+    const storedTotal = stored?.total ? stored.total.toString() : "0";
+
+    res.json({
+      totalSupply: formatChips(userTotal),
+      issued: formatChips(subtractChips(0n, balances[SYSTEM_ACCOUNTS.MINT] || "0")),
+      systemAccounts,
+      storedUserBalanceTotal: formatChips(storedTotal),
+      balanced: netTotal === 0n,
+      matchesStoredBalances: subtractChips(userTotal, storedTotal) === 0n,
+    });
+  } catch (error) {
+    logger.error("Get ledger supply error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List ledger lines for a user (admin: any user, player: self only).
+ */
+export const getUserLedger = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 100 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid userId" });
+    }
+
+    if (req.user.role !== "Admin" && req.user._id.toString() !== userId) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const account = userAccount(userId);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, balances] = await Promise.all([
+      LedgerEntry.find({ account })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      getAccountBalances({ account }),
+    ]);
+
+    res.json({
+      account,
+      balance: balances[account] || "0",
+      entries: entries.map((entry) => ({
+        ...entry,
+        amount: entry.amount.toString(),
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    logger.error("Get user ledger error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
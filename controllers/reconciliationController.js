@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import ReconciliationReport from "../models/ReconciliationReport.js";
+import ReconciliationDiscrepancy from "../models/ReconciliationDiscrepancy.js";
+import { queueReconciliation, reconcileSingleUser } from "../utils/reconciliation.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Queue a full reconciliation now (admin only); the report fills in once
+ * the worker has run it
+ */
+export const runReconciliationNow = async (req, res) => {
+  try {
+    const report = await queueReconciliation({ triggeredBy: req.user._id });
+    if (!report) {
+      return res.status(503).json({ message: "Reconciliation service unavailable - Redis not connected." });
+    }
+
+    logger.info(`Reconciliation ${report._id} queued by admin ${req.user.email}`);
+
+    res.status(202).json({
+      message: "Reconciliation queued",
+      reportId: report._id,
+      status: report.status,
+    });
+  } catch (error) {
+    logger.error("Run reconciliation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List reconciliation reports, newest first
+ */
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const query = status ? { status } : {};
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find(query)
+        .populate("triggeredBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      ReconciliationReport.countDocuments(query),
+    ]);
+
+    res.json({
+      reports,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get reconciliation reports error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * One report with its discrepancies
+ */
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { page = 1, limit = 100, issue } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({ message: "Invalid reportId" });
+    }
+
+    const report = await ReconciliationReport.findById(reportId)
+      .populate("triggeredBy", "name email")
+      .lean();
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const query = { reportId: report._id };
+    if (issue) query.issues = issue;
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [discrepancies, total] = await Promise.all([
+      ReconciliationDiscrepancy.find(query)
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      ReconciliationDiscrepancy.countDocuments(query),
+    ]);
+
+    res.json({
+      report,
+      discrepancies,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get reconciliation report error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Per-user drill-down: live recomputation plus past discrepancies
+ */
+export const getUserReconciliation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid userId" });
+    }
+
+    const current = await reconcileSingleUser(userId);
+    if (!current) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const history = await ReconciliationDiscrepancy.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      current,
+      reconciled: current.issues.length === 0,
+      discrepancyHistory: history,
+    });
+  } catch (error) {
+    logger.error("Get user reconciliation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
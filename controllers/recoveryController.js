@@ -1,168 +1,246 @@
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
+import ChipRecovery from "../models/ChipRecovery.js";
+import BanHistory from "../models/BanHistory.js";
 import { invalidateBalanceCache } from "../utils/cache.js";
 import logger from "../utils/logger.js";
-
-const toDecimal = (value) => {
-  const numValue = Number(value);
-  if (isNaN(numValue) || numValue <= 0) {
-    throw new Error("Invalid amount");
-  }
-  return mongoose.Types.Decimal128.fromString(String(numValue));
-};
-
-const compareDecimal = (a, b) => {
-  return Number(a.toString()) - Number(b.toString());
+import { compareChips } from "../utils/chipAmount.js";
+import {
+  planRecovery,
+  proposeRecovery,
+  approveRecovery,
+  rejectRecovery,
+  RecoveryError,
+} from "../utils/chipRecovery.js";
+import { banUserAccount, unbanUserAccount, BanError } from "../utils/bans.js";
+
+const formatRecovery = (recovery) => {
+  const plain = recovery.toObject ? recovery.toObject() : recovery;
+  return {
+    ...plain,
+    totalAmount: plain.totalAmount.toString(),
+    balanceAtRequest: plain.balanceAtRequest.toString(),
+    allocations: plain.allocations.map((allocation) => ({
+      ...allocation,
+      amount: allocation.amount.toString(),
+    })),
+  };
 };
 
 /**
- * Recover chips from a banned user to a verified account
- * This is the core chip-switching functionality
+ * Propose a chip recovery from a banned user to verified accounts
+ * This is the core chip-switching functionality. The recovered amount (the
+ * whole balance by default) may be split across several verified accounts
+ * and the house forfeit account. The chips are held in escrow at once and
+ * pay out only when a second admin approves the proposal.
  */
 export const recoverChips = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { bannedUserId, verifiedUserId, reason } = req.body;
+    const { bannedUserId, verifiedUserId, allocations, forfeit, amount, reason } = req.body;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
     const idempotencyKey = req.idempotencyKey;
 
-    if (!bannedUserId || !verifiedUserId) {
+    let proposal;
+    try {
+      const plan = await planRecovery({ bannedUserId, amount, verifiedUserId, allocations, forfeit }, session);
+      proposal = await proposeRecovery(
+        plan,
+        { reason, adminId: req.user._id, adminIp, adminUserAgent, idempotencyKey },
+        session
+      );
+    } catch (err) {
+      if (!(err instanceof RecoveryError)) throw err;
       await session.abortTransaction();
-      return res.status(400).json({ 
-        message: "Banned user ID and verified user ID are required" 
-      });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    if (bannedUserId.toString() === verifiedUserId.toString()) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        message: "Cannot recover chips to the same account" 
-      });
-    }
+    await session.commitTransaction();
 
-    // Fetch both users
-    const bannedUser = await User.findById(bannedUserId).session(session);
-    const verifiedUser = await User.findById(verifiedUserId).session(session);
+    const { recovery, hold } = proposal;
+    const recoveredAmount = recovery.totalAmount.toString();
+    await invalidateBalanceCache([bannedUserId.toString()]);
 
-    if (!bannedUser || !verifiedUser) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "User not found" });
+    const io = req.app.get("io");
+    if (io) {
+      io.emit("balanceUpdated", { userIds: [bannedUserId.toString()] });
+      io.emit("transactionCreated", { transactionId: hold._id.toString() });
+      io.emit("recoveryProposed", { recoveryId: recovery._id.toString(), amount: recoveredAmount });
     }
 
-    // Verify banned user is actually banned
-    if (!bannedUser.isBanned) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        message: "Source user is not banned. Chip recovery only works for banned accounts." 
-      });
-    }
+    logger.info(
+      `Chip recovery ${recovery._id} proposed: ${recoveredAmount} chips from ${bannedUserId} held in escrow by admin ${req.user.email}`
+    );
 
-    // Verify target user is verified
-    if (!verifiedUser.isVerified) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        message: "Target user must be verified to receive recovered chips" 
-      });
-    }
+    res.status(202).json({
+      message: "Chip recovery proposed; chips are held in escrow until a second admin decides",
+      recovery: formatRecovery(recovery),
+      holdTransaction: {
+        ...hold.toObject(),
+        amount: hold.amount.toString(),
+      },
+      recoveredAmount,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error("Chip recovery error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
 
-    // Check if banned user has any balance
-    const bannedBalance = bannedUser.balance || mongoose.Types.Decimal128.fromString("0");
-    const balanceNumber = Number(bannedBalance.toString());
+const decideRecovery = (action) => async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    if (balanceNumber <= 0) {
+  try {
+    const { recoveryId } = req.params;
+    const { adminIp, adminUserAgent } = req.auditInfo || {};
+    const context = { checkerId: req.user._id, reason: req.body?.reason, adminIp, adminUserAgent };
+
+    let result;
+    try {
+      result = action === "approve"
+        ? await approveRecovery(recoveryId, context, session)
+        : await rejectRecovery(recoveryId, context, session);
+    } catch (err) {
+      if (!(err instanceof RecoveryError)) throw err;
       await session.abortTransaction();
-      return res.status(400).json({ 
-        message: "Banned user has no chips to recover" 
-      });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    // Transfer all chips from banned user to verified user
-    const verifiedBalance = verifiedUser.balance || mongoose.Types.Decimal128.fromString("0");
-    
-    bannedUser.balance = mongoose.Types.Decimal128.fromString("0");
-    verifiedUser.balance = mongoose.Types.Decimal128.fromString(
-      String(Number(verifiedBalance.toString()) + balanceNumber)
-    );
-
-    await bannedUser.save({ session });
-    await verifiedUser.save({ session });
-
-    // Create recovery transaction
-    const recoveryTx = await Transaction.create(
-      [
-        {
-          fromUserId: bannedUserId,
-          toUserId: verifiedUserId,
-          amount: bannedBalance,
-          type: "chip-recovery",
-          status: "approved",
-          idempotencyKey,
-          reason: reason || `Chip recovery from banned account`,
-          recoveryFromUserId: bannedUserId,
-          recoveryReason: reason || `Recovered chips from banned account: ${bannedUser.email}`,
-          adminId: req.user._id,
-          adminIp,
-          adminUserAgent,
-        },
-      ],
-      { session }
-    );
-
     await session.commitTransaction();
-    await invalidateBalanceCache([
-      bannedUserId.toString(),
-      verifiedUserId.toString(),
-    ]);
+
+    const { recovery, transactions, userIds } = result;
+    const approved = recovery.status === "completed";
+    await invalidateBalanceCache(userIds);
 
     const io = req.app.get("io");
     if (io) {
-      io.emit("balanceUpdated", {
-        userIds: [bannedUserId.toString(), verifiedUserId.toString()],
-      });
-      io.emit("transactionCreated", { transactionId: recoveryTx[0]._id.toString() });
-      io.emit("chipRecoveryCompleted", {
-        bannedUserId: bannedUserId.toString(),
-        verifiedUserId: verifiedUserId.toString(),
-        amount: balanceNumber,
+      io.emit("balanceUpdated", { userIds });
+      transactions.forEach((tx) => {
+        io.emit("transactionCreated", { transactionId: tx._id.toString() });
       });
+      if (approved) {
+        io.emit("chipRecoveryCompleted", {
+          recoveryId: recovery._id.toString(),
+          bannedUserId: recovery.bannedUserId.toString(),
+          verifiedUserIds: userIds,
+          amount: recovery.totalAmount.toString(),
+        });
+      }
     }
 
     logger.info(
-      `Chip recovery completed: ${balanceNumber} chips from ${bannedUser.email} (banned) to ${verifiedUser.email} (verified) by admin ${req.user.email}`
+      `Chip recovery ${recovery._id} ${approved ? "approved" : "rejected"} by second admin ${req.user.email}`
+      + (action === "approve" && !approved ? " (ban was lifted before approval)" : "")
     );
 
+    let message = "Chip recovery rejected; escrow released";
+    if (approved) message = "Chip recovery approved and paid out";
+    else if (action === "approve") message = "The account is no longer banned; chip recovery rejected and escrow released";
+
     res.json({
-      message: "Chips recovered successfully",
-      transaction: {
-        ...recoveryTx[0].toObject(),
-        amount: recoveryTx[0].amount.toString(),
-      },
-      recoveredAmount: balanceNumber,
-      bannedUser: {
-        id: bannedUser._id,
-        email: bannedUser.email,
-        previousBalance: balanceNumber,
-        newBalance: 0,
-      },
-      verifiedUser: {
-        id: verifiedUser._id,
-        email: verifiedUser.email,
-        previousBalance: Number(verifiedBalance.toString()),
-        newBalance: Number(verifiedUser.balance.toString()),
-      },
+      message,
+      recovery: formatRecovery(recovery),
+      transactions: transactions.map((tx) => ({
+        ...tx.toObject(),
+        amount: tx.amount.toString(),
+      })),
     });
   } catch (error) {
     await session.abortTransaction();
-    logger.error("Chip recovery error:", error);
+    logger.error(`Chip recovery ${action} error:`, error);
     res.status(500).json({ message: "Server error", error: error.message });
   } finally {
     session.endSession();
   }
 };
 
+/**
+ * Approve another admin's recovery proposal; shares pay out of escrow now
+ */
+export const approveRecoveryProposal = decideRecovery("approve");
+
+/**
+ * Reject another admin's recovery proposal; the held chips go back
+ */
+export const rejectRecoveryProposal = decideRecovery("reject");
+
+const RECOVERY_POPULATE = [
+  { path: "bannedUserId", select: "name email isBanned banReason bannedAt" },
+  { path: "adminId", select: "name email" },
+  { path: "decision.decidedBy", select: "name email" },
+  { path: "allocations.userId", select: "name email" },
+];
+
+/**
+ * Recovery history, newest first: each proposal with its decision and the
+ * hold, payout and release transactions it produced.
+ */
+export const getRecoveryHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, bannedUserId } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (bannedUserId) query.bannedUserId = bannedUserId;
+
+    const [recoveries, total] = await Promise.all([
+      ChipRecovery.find(query)
+        .populate(RECOVERY_POPULATE)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      ChipRecovery.countDocuments(query),
+    ]);
+
+    res.json({
+      recoveries: recoveries.map(formatRecovery),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get recovery history error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * One recovery with every transaction linked to it.
+ */
+export const getRecoveryById = async (req, res) => {
+  try {
+    const recovery = await ChipRecovery.findById(req.params.recoveryId).populate(RECOVERY_POPULATE).lean();
+    if (!recovery) {
+      return res.status(404).json({ message: "Recovery not found" });
+    }
+
+    const transactions = await Transaction.find({ recoveryId: recovery._id })
+      .populate("fromUserId toUserId", "name email")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      recovery: formatRecovery(recovery),
+      transactions: transactions.map((tx) => ({ ...tx, amount: tx.amount.toString() })),
+    });
+  } catch (error) {
+    logger.error("Get recovery error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 /**
  * Get list of banned users with recoverable chips
  */
@@ -196,10 +274,7 @@ export const getBannedUsersWithChips = async (req, res) => {
 
     // Filter users with balance > 0 and format response
     const usersWithChips = bannedUsers
-      .filter((user) => {
-        const balance = user.balance ? Number(user.balance.toString()) : 0;
-        return balance > 0;
-      })
+      .filter((user) => compareChips(user.balance, 0n) > 0)
       .map((user) => ({
         id: user._id,
         name: user.name,
@@ -335,14 +410,14 @@ export const verifyUser = async (req, res) => {
 };
 
 /**
- * Ban a user account (admin only)
+ * Ban a user account (admin only), permanently or for `durationHours`
  */
 export const banUser = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { userId, reason } = req.body;
+    const { userId, reason, durationHours } = req.body;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
 
     if (!userId) {
@@ -350,36 +425,26 @@ export const banUser = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
-    if (!reason || reason.trim().length === 0) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Ban reason is required" });
-    }
-
-    const user = await User.findById(userId).session(session);
-    if (!user) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    if (user.role === "Admin") {
+    let user;
+    try {
+      ({ user } = await banUserAccount(
+        userId,
+        { reason, durationHours, adminId: req.user._id, adminIp, adminUserAgent },
+        session
+      ));
+    } catch (err) {
+      if (!(err instanceof BanError)) throw err;
       await session.abortTransaction();
-      return res.status(403).json({ message: "Cannot ban admin users" });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    if (user.isBanned) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "User is already banned" });
-    }
-
-    user.isBanned = true;
-    user.banReason = reason.trim();
-    user.bannedAt = new Date();
-    user.bannedBy = req.user._id;
-
-    await user.save({ session });
     await session.commitTransaction();
 
-    logger.warn(`User banned: ${user.email} by admin ${req.user.email}. Reason: ${reason}`);
+    logger.warn(
+      `User banned: ${user.email} by admin ${req.user.email}${
+        user.banExpiresAt ? ` until ${user.banExpiresAt.toISOString()}` : ""
+      }. Reason: ${user.banReason}`
+    );
 
     res.json({
       message: "User banned successfully",
@@ -390,6 +455,7 @@ export const banUser = async (req, res) => {
         isBanned: user.isBanned,
         banReason: user.banReason,
         bannedAt: user.bannedAt,
+        banExpiresAt: user.banExpiresAt,
         balance: user.balance ? user.balance.toString() : "0",
       },
     });
@@ -410,7 +476,7 @@ export const unbanUser = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
 
     if (!userId) {
@@ -418,23 +484,19 @@ export const unbanUser = async (req, res) => {
       return res.status(400).json({ message: "User ID is required" });
     }
 
-    const user = await User.findById(userId).session(session);
-    if (!user) {
+    let user;
+    try {
+      ({ user } = await unbanUserAccount(
+        userId,
+        { reason, adminId: req.user._id, adminIp, adminUserAgent },
+        session
+      ));
+    } catch (err) {
+      if (!(err instanceof BanError)) throw err;
       await session.abortTransaction();
-      return res.status(404).json({ message: "User not found" });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    if (!user.isBanned) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "User is not banned" });
-    }
-
-    user.isBanned = false;
-    user.banReason = null;
-    user.bannedAt = null;
-    user.bannedBy = null;
-
-    await user.save({ session });
     await session.commitTransaction();
 
     logger.info(`User unbanned: ${user.email} by admin ${req.user.email}`);
@@ -457,3 +519,43 @@ export const unbanUser = async (req, res) => {
   }
 };
 
+/**
+ * Ban history of one user, newest first (admin only)
+ */
+export const getUserBans = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const user = await User.findById(req.params.id)
+      .select("name email isBanned banReason bannedAt bannedBy banExpiresAt")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [bans, total] = await Promise.all([
+      BanHistory.find({ userId: user._id })
+        .populate("adminId", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      BanHistory.countDocuments({ userId: user._id }),
+    ]);
+
+    res.json({
+      user,
+      bans,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get user bans error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
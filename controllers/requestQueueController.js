@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import { approvePendingRequest, rejectPendingRequest, RequestDecisionError } from "../utils/requestDecision.js";
+import { compareChips, formatChips } from "../utils/chipAmount.js";
+import logger from "../utils/logger.js";
+
+const REQUEST_QUEUE_SORTS = {
+  age: "createdAt",
+  amount: "amount",
+  risk: "requester.suspiciousActivityCount",
+};
+
+/**
+ * Pending player requests with the requester's balance and risk signals.
+ * Sort by `age` (oldest first by default), `amount` or requester `risk`.
+ */
+export const getRequestQueue = async (req, res) => {
+  try {
+    const { sort = "age", page = 1, limit = 50 } = req.query;
+    const order = req.query.order || (sort === "age" ? "asc" : "desc");
+    const direction = order === "asc" ? 1 : -1;
+    const skip = (Number(page) - 1) * Number(limit);
+    const match = { type: "request", status: "pending" };
+
+    const [requests, total] = await Promise.all([
+      Transaction.aggregate([
+        { $match: match },
+        {
+          $lookup: {
+            from: "users",
+            localField: "fromUserId",
+            foreignField: "_id",
+            as: "requester",
+            pipeline: [
+              {
+                $project: {
+                  name: 1,
+                  email: 1,
+                  balance: 1,
+                  isBanned: 1,
+                  isVerified: 1,
+                  suspiciousActivityCount: 1,
+                  suspiciousActivityFlags: 1,
+                  lastSuspiciousActivity: 1,
+                },
+              },
+            ],
+          },
+        },
+        { $unwind: { path: "$requester", preserveNullAndEmptyArrays: true } },
+        { $sort: { [REQUEST_QUEUE_SORTS[sort]]: direction, _id: direction } },
+        { $skip: skip },
+        { $limit: Number(limit) },
+        {
+          $lookup: {
+            from: "users",
+            localField: "toUserId",
+            foreignField: "_id",
+            as: "receiver",
+            pipeline: [{ $project: { name: 1, email: 1, isBanned: 1 } }],
+          },
+        },
+        { $unwind: { path: "$receiver", preserveNullAndEmptyArrays: true } },
+      ]),
+      Transaction.countDocuments(match),
+    ]);
+
+    const now = Date.now();
+
+    res.json({
+      requests: requests.map((tx) => ({
+        transactionId: tx._id,
+        amount: formatChips(tx.amount),
+        reason: tx.reason,
+        createdAt: tx.createdAt,
+        ageSeconds: Math.floor((now - new Date(tx.createdAt).getTime()) / 1000),
+        requester: tx.requester
+          ? {
+            ...tx.requester,
+            balance: formatChips(tx.requester.balance),
+            canCover: compareChips(tx.requester.balance, tx.amount) >= 0,
+          }
+          : null,
+        receiver: tx.receiver || null,
+      })),
+      sort,
+      order,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get request queue error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Apply one decision per ID, each in its own MongoDB transaction, so a
+ * request that cannot be decided never holds back the others.
+ */
+const decideEach = async (transactionIds, decide) => {
+  const results = [];
+  const userIds = new Set();
+  const decided = [];
+
+  const session = await mongoose.startSession();
+  try {
+    for (const transactionId of [...new Set(transactionIds.map(String))]) {
+      try {
+        let requestTx;
+        await session.withTransaction(async () => {
+          requestTx = await decide(transactionId, session);
+        });
+        results.push({ transactionId, success: true, status: requestTx.status });
+        decided.push(requestTx);
+        if (requestTx.status === "approved") {
+          userIds.add(requestTx.fromUserId.toString());
+          userIds.add(requestTx.toUserId.toString());
+        }
+      } catch (err) {
+        if (!(err instanceof RequestDecisionError)) {
+          logger.error(`Bulk request decision error for ${transactionId}:`, err);
+        }
+        results.push({ transactionId, success: false, error: err instanceof RequestDecisionError ? err.message : "Server error" });
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+
+  return { results, decided, userIds: [...userIds] };
+};
+
+const respondWithOutcomes = (req, res, action, { results, decided, userIds }) => {
+  const io = req.app.get("io");
+  if (io) {
+    if (userIds.length > 0) {
+      io.emit("balanceUpdated", { userIds });
+    }
+    decided.forEach((tx) => io.emit("transactionCreated", { transactionId: tx._id.toString() }));
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+  logger.info(`Bulk ${action} by admin ${req.user.email}: ${succeeded}/${results.length} succeeded`);
+
+  res.json({
+    message: `Bulk ${action} processed`,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+    results,
+  });
+};
+
+/**
+ * Approve many pending requests; returns an outcome per ID
+ */
+export const bulkApproveRequests = async (req, res) => {
+  try {
+    const { transactionIds } = req.body;
+    const { adminIp, adminUserAgent } = req.auditInfo || {};
+
+    const outcome = await decideEach(transactionIds, (transactionId, session) =>
+      approvePendingRequest(transactionId, { adminId: req.user._id, adminIp, adminUserAgent }, session)
+    );
+    await invalidateBalanceCache(outcome.userIds);
+
+    respondWithOutcomes(req, res, "approve", outcome);
+  } catch (error) {
+    logger.error("Bulk approve requests error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Reject many pending requests; returns an outcome per ID
+ */
+export const bulkRejectRequests = async (req, res) => {
+  try {
+    const { transactionIds, reason } = req.body;
+    const { adminIp, adminUserAgent } = req.auditInfo || {};
+
+    const outcome = await decideEach(transactionIds, (transactionId, session) =>
+      rejectPendingRequest(transactionId, { adminId: req.user._id, adminIp, adminUserAgent, reason }, session)
+    );
+
+    respondWithOutcomes(req, res, "reject", outcome);
+  } catch (error) {
+    logger.error("Bulk reject requests error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
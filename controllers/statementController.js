@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
+import { createObjectCsvStringifier } from "csv-writer";
+import User from "../models/User.js";
+import { statementPeriod, balanceBefore, statementLines, buildStatement } from "../utils/statement.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Whose statement to build: players always get their own, admins may pass
+ * `userId`. Responds and returns null when the request is invalid.
+ */
+const resolveStatementRequest = async (req, res) => {
+  const userId = req.user.role === "Admin" && req.query.userId
+    ? req.query.userId
+    : req.user._id.toString();
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ message: "Invalid userId" });
+    return null;
+  }
+
+  const period = statementPeriod(req.query);
+  if (period.from > period.to) {
+    res.status(400).json({ message: "from must be before to" });
+    return null;
+  }
+
+  const user = await User.findById(userId).select("name email").lean();
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  return { user, period };
+};
+
+/**
+ * Account statement for a period: opening balance, movements with direction
+ * and running balance, closing balance
+ */
+export const getStatement = async (req, res) => {
+  try {
+    const request = await resolveStatementRequest(req, res);
+    if (!request) return;
+
+    const { user, period } = request;
+    const statement = await buildStatement(user._id.toString(), period);
+
+    res.json({
+      user: { id: user._id, name: user.name, email: user.email },
+      ...statement,
+    });
+  } catch (error) {
+    logger.error("Get statement error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * The same statement as a CSV download, streamed line by line
+ */
+export const downloadStatement = async (req, res) => {
+  try {
+    const request = await resolveStatementRequest(req, res);
+    if (!request) return;
+
+    const { user, period } = request;
+    const userId = user._id.toString();
+    const openingBalance = await balanceBefore(userId, period.from);
+
+    const stringifier = createObjectCsvStringifier({
+      header: [
+        { id: "date", title: "Date" },
+        { id: "transactionId", title: "Transaction ID" },
+        { id: "type", title: "Type" },
+        { id: "status", title: "Status" },
+        { id: "counterparty", title: "Counterparty" },
+        { id: "reason", title: "Reason" },
+        { id: "credit", title: "Credit" },
+        { id: "debit", title: "Debit" },
+        { id: "runningBalance", title: "Balance" },
+      ],
+    });
+
+    const day = (date) => date.toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="statement_${userId}_${day(period.from)}_${day(period.to)}.csv"`
+    );
+
+    await pipeline(
+      async function* () {
+        yield stringifier.getHeaderString();
+        yield stringifier.stringifyRecords([
+          { date: period.from.toISOString(), reason: "Opening balance", runningBalance: openingBalance },
+        ]);
+
+        let closingBalance = openingBalance;
+        for await (const line of statementLines(userId, period, openingBalance)) {
+          closingBalance = line.runningBalance;
+          yield stringifier.stringifyRecords([
+            {
+              date: line.date.toISOString(),
+              transactionId: line.transactionId.toString(),
+              type: line.type,
+              status: line.status,
+              counterparty: line.counterparty.email || line.counterparty.account,
+              reason: line.reason,
+              credit: line.direction === "credit" ? line.amount : "",
+              debit: line.direction === "debit" ? line.amount : "",
+              runningBalance: line.runningBalance,
+            },
+          ]);
+        }
+
+        yield stringifier.stringifyRecords([
+          { date: period.to.toISOString(), reason: "Closing balance", runningBalance: closingBalance },
+        ]);
+      },
+      res
+    );
+  } catch (error) {
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+
+    logger.error("Download statement error:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+};
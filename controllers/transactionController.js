@@ -1,100 +1,227 @@
+import { pipeline } from "stream/promises";
 import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import BulkTransferBatch from "../models/BulkTransferBatch.js";
+import ChipRecovery from "../models/ChipRecovery.js";
+import BanHistory from "../models/BanHistory.js";
 import logger from "../utils/logger.js";
-import { exportTransactionsToCSV } from "../utils/csvHandler.js";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
+import { createTransactionCsvStringifier, formatTransactionCsvRow } from "../utils/csvHandler.js";
+import {
+  buildTransactionFilter,
+  afterTransactionCursor,
+  encodeTransactionCursor,
+  TransactionFilterError,
+} from "../utils/transactionFilter.js";
+
+/**
+ * List transactions newest first with keyset pagination: pass the returned
+ * `nextCursor` as `cursor` to get the next page.
+ */
 export const getTransactions = async (req, res) => {
   try {
-    const { fromDate, toDate, status, type, userId, page = 1, limit = 100 } = req.query;
-    const filter = {};
-
-    if (req.user.role === "Player") {
-      filter.$or = [{ fromUserId: req.user._id }, { toUserId: req.user._id }];
-    } else if (userId) {
-      filter.$or = [{ fromUserId: userId }, { toUserId: userId }];
-    }
-
-    if (type) filter.type = type;
-    if (status) filter.status = status;
+    const limit = parseInt(req.query.limit || "100", 10);
+    const filter = buildTransactionFilter(req.query, req.user);
 
-    if (fromDate || toDate) {
-      filter.createdAt = {};
-      if (fromDate) filter.createdAt.$gte = new Date(fromDate);
-      if (toDate) filter.createdAt.$lte = new Date(toDate);
+    if (req.query.cursor) {
+      filter.$and = [...(filter.$and || []), afterTransactionCursor(req.query.cursor)];
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
     const transactions = await Transaction.find(filter)
       .populate("fromUserId toUserId adminId verifiedBy", "name email role")
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await Transaction.countDocuments(filter);
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
 
-    const formattedTxs = transactions.map((tx) => ({
-      ...tx.toObject(),
-      amount: tx.amount ? tx.amount.toString() : "0",
-    }));
+    const hasMore = transactions.length > limit;
+    const page = hasMore ? transactions.slice(0, limit) : transactions;
 
     res.json({
-      transactions: formattedTxs,
+      transactions: page.map((tx) => ({
+        ...tx,
+        amount: tx.amount ? tx.amount.toString() : "0",
+      })),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeTransactionCursor(page[page.length - 1]) : null,
       },
     });
   } catch (error) {
+    if (error instanceof TransactionFilterError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     logger.error("Get transactions error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-export const exportTransactions = async (req, res) => {
-  try {
-    const { fromDate, toDate, status, type, userId } = req.query;
-    const filter = {};
+const PARTY_FIELDS = "name email role isBanned";
 
-    if (req.user.role === "Player") {
-      filter.$or = [{ fromUserId: req.user._id }, { toUserId: req.user._id }];
-    } else if (userId) {
-      filter.$or = [{ fromUserId: userId }, { toUserId: userId }];
-    }
+const formatAmount = (tx) => ({ ...tx, amount: tx.amount ? tx.amount.toString() : "0" });
 
-    if (type) filter.type = type;
-    if (status) filter.status = status;
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
 
-    if (fromDate || toDate) {
-      filter.createdAt = {};
-      if (fromDate) filter.createdAt.$gte = new Date(fromDate);
-      if (toDate) filter.createdAt.$lte = new Date(toDate);
-    }
+/**
+ * Bulk batch summary for a transaction's batchId. Reversal batches
+ * ("<batchId>-reversal") resolve to the batch they roll back.
+ */
+const findBatch = async (batchId) => {
+  const baseBatchId = batchId.endsWith("-reversal") ? batchId.slice(0, -"-reversal".length) : batchId;
+  const batch = await BulkTransferBatch.findOne({ batchId: baseBatchId })
+    .select("batchId status mode format fileName totalRows successCount failedCount adminId createdAt completedAt reversal.status")
+    .populate("adminId", "name email")
+    .lean();
 
-    const transactions = await Transaction.find(filter)
-      .populate("fromUserId toUserId adminId", "name email")
+  return { batchId, isReversalBatch: baseBatchId !== batchId, bulkBatch: batch };
+};
+
+/**
+ * The ban a chip recovery transaction was based on: the latest ban of the
+ * source account recorded at or before the transaction, which survives an
+ * unban. Bans from before ban history was kept fall back to the ban fields
+ * on the user, while those are still set.
+ */
+const findBanRecord = async (tx, isAdmin) => {
+  const [user, ban] = await Promise.all([
+    User.findById(tx.recoveryFromUserId)
+      .select("name email isBanned banReason bannedAt bannedBy banExpiresAt")
+      .populate("bannedBy", "name email")
+      .lean(),
+    BanHistory.findOne({ userId: tx.recoveryFromUserId, action: "ban", createdAt: { $lte: tx.createdAt } })
       .sort({ createdAt: -1 })
-      .limit(100000);
+      .populate("adminId", "name email")
+      .lean(),
+  ]);
+  if (!user) return null;
+
+  const record = ban
+    ? { banReason: ban.reason, bannedAt: ban.createdAt, banExpiresAt: ban.expiresAt, bannedBy: ban.adminId }
+    : { banReason: user.banReason, bannedAt: user.bannedAt, banExpiresAt: user.banExpiresAt, bannedBy: user.bannedBy };
+
+  return {
+    userId: user._id,
+    name: user.name,
+    email: user.email,
+    isBanned: user.isBanned,
+    ...record,
+    bannedBy: isAdmin ? record.bannedBy : undefined,
+  };
+};
+
+/**
+ * One transaction with its parties, audit fields, reversal lineage in both
+ * directions, batch and, for chip recovery, the ban it was based on.
+ * Players may only see transactions they are party to.
+ */
+export const getTransactionById = async (req, res) => {
+  try {
+    const tx = await Transaction.findById(req.params.id)
+      .populate("fromUserId toUserId", PARTY_FIELDS)
+      .populate("adminId verifiedBy", "name email role")
+      .lean();
+
+    if (!tx) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
 
-    const fileName = `transactions_${Date.now()}.csv`;
-    const filePath = path.join(__dirname, "../exports", fileName);
+    const isAdmin = req.user.role === "Admin";
+    const userId = req.user._id.toString();
+    if (!isAdmin && idOf(tx.fromUserId) !== userId && idOf(tx.toUserId) !== userId) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
 
-    await exportTransactionsToCSV(transactions, filePath);
+    const [reversedTransaction, reversals, batch, banRecord, recovery] = await Promise.all([
+      tx.reversedTransactionId
+        ? Transaction.findById(tx.reversedTransactionId).populate("fromUserId toUserId", "name email").lean()
+        : null,
+      Transaction.find({ reversedTransactionId: tx._id })
+        .populate("adminId", "name email")
+        .sort({ createdAt: 1 })
+        .lean(),
+      tx.batchId ? findBatch(tx.batchId) : null,
+      tx.type === "chip-recovery" && tx.recoveryFromUserId ? findBanRecord(tx, isAdmin) : null,
+      tx.recoveryId ? ChipRecovery.findById(tx.recoveryId).lean() : null,
+    ]);
+
+    const { adminIp, adminUserAgent, ...transaction } = formatAmount(tx);
 
-    res.download(filePath, fileName, (err) => {
-      if (err) {
-        logger.error("Export download error:", err);
-      }
+    res.json({
+      transaction,
+      audit: isAdmin
+        ? {
+          admin: tx.adminId,
+          adminIp: adminIp || null,
+          adminUserAgent: adminUserAgent || null,
+          verifiedBy: tx.verifiedBy,
+          verifiedAt: tx.verifiedAt,
+        }
+        : null,
+      reversedTransaction: reversedTransaction ? formatAmount(reversedTransaction) : null,
+      reversals: reversals.map(formatAmount),
+      batch: batch && (isAdmin ? batch : { batchId: batch.batchId, isReversalBatch: batch.isReversalBatch }),
+      banRecord,
+      // The recovery this belongs to (hold, share or release), with every share
+      recovery: recovery && (isAdmin
+        ? {
+          ...recovery,
+          totalAmount: recovery.totalAmount.toString(),
+          balanceAtRequest: recovery.balanceAtRequest.toString(),
+          allocations: recovery.allocations.map((a) => ({ ...a, amount: a.amount.toString() })),
+        }
+        : { _id: recovery._id, status: recovery.status, totalAmount: recovery.totalAmount.toString() }),
     });
   } catch (error) {
-    logger.error("Export transactions error:", error);
+    logger.error("Get transaction error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * Stream matching transactions as CSV straight from a cursor. Nothing is
+ * buffered beyond the cursor batch and nothing is written to disk.
+ */
+export const exportTransactions = async (req, res) => {
+  let cursor;
+  let first;
+
+  try {
+    cursor = Transaction.find(buildTransactionFilter(req.query, req.user))
+      .populate("fromUserId toUserId adminId", "name email")
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    // Read the first document before committing to a CSV response, so a
+    // failing query still gets a proper error status
+    first = await cursor.next();
+  } catch (error) {
+    if (error instanceof TransactionFilterError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    logger.error("Export transactions error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  const stringifier = createTransactionCsvStringifier();
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="transactions_${Date.now()}.csv"`);
+
+  try {
+    await pipeline(
+      async function* () {
+        yield stringifier.getHeaderString();
+        for (let tx = first; tx; tx = await cursor.next()) {
+          yield stringifier.stringifyRecords([formatTransactionCsvRow(tx)]);
+        }
+      },
+      res
+    );
+  } catch (error) {
+    // The response is already streaming; pipeline has torn it down
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      logger.error("Export transactions stream error:", error);
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
@@ -3,18 +3,22 @@ import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
 import { setIdempotency, invalidateBalanceCache } from "../utils/cache.js";
 import logger from "../utils/logger.js";
-
-const toDecimal = (value) => {
-  const numValue = Number(value);
-  if (isNaN(numValue) || numValue <= 0) {
-    throw new Error("Invalid amount");
-  }
-  return mongoose.Types.Decimal128.fromString(String(numValue));
-};
-
-const compareDecimal = (a, b) => {
-  return Number(a.toString()) - Number(b.toString());
-};
+import { parseChipAmount, toDecimal128, formatChips } from "../utils/chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount } from "../utils/ledger.js";
+import { applyReversal, unreversedAmount, ReversalError } from "../utils/reversal.js";
+import {
+  requiresSecondApproval,
+  checkAdminAction,
+  settleAdminAction,
+  AdminActionError,
+} from "../utils/adminActions.js";
+import {
+  approvePendingRequest,
+  rejectPendingRequest,
+  cancelPendingRequest,
+  requestExpiresAt,
+  RequestDecisionError,
+} from "../utils/requestDecision.js";
 
 export const transfer = async (req, res) => {
   const session = await mongoose.startSession();
@@ -47,15 +51,18 @@ export const transfer = async (req, res) => {
         return res.status(400).json({ message: "Cannot request transfer to yourself" });
       }
 
-      const amtDec = toDecimal(amount);
+      const amtDec = toDecimal128(parseChipAmount(amount));
       const tx = await Transaction.create(
         [
           {
             fromUserId: req.user._id,
             toUserId,
+            fromAccount: userAccount(req.user._id),
+            toAccount: userAccount(toUserId),
             amount: amtDec,
             type: "request",
             status: "pending",
+            expiresAt: requestExpiresAt(),
             idempotencyKey,
             reason,
             adminIp,
@@ -82,133 +89,78 @@ export const transfer = async (req, res) => {
 
     if (type === "manual" && req.user.role === "Admin") {
       const senderId = fromUserId || null;
-      const receiver = await User.findById(toUserId).session(session);
-      if (!receiver) {
-        await session.abortTransaction();
-        return res.status(404).json({ message: "Receiver not found" });
-      }
+      const amt = parseChipAmount(amount);
+
+      // Without a sender the chips are minted
+      const tx = new Transaction({
+        fromUserId: senderId,
+        toUserId,
+        fromAccount: senderId ? userAccount(senderId) : SYSTEM_ACCOUNTS.MINT,
+        toAccount: userAccount(toUserId),
+        amount: toDecimal128(amt),
+        type: "manual",
+        status: "pending",
+        idempotencyKey,
+        reason,
+        adminId: req.user._id,
+        adminIp,
+        adminUserAgent,
+      });
 
-      if (senderId) {
-        const sender = await User.findById(senderId).session(session);
-        if (!sender) {
-          await session.abortTransaction();
-          return res.status(404).json({ message: "Sender not found" });
-        }
+      const userIds = [senderId, toUserId].filter(Boolean).map((id) => id.toString());
+      const secondApproval = requiresSecondApproval(amt);
 
-        if (senderId.toString() === toUserId.toString()) {
-          await session.abortTransaction();
-          return res.status(400).json({ message: "Cannot transfer to the same user" });
+      try {
+        if (secondApproval) {
+          await checkAdminAction(tx, session);
+          await tx.save({ session });
+        } else {
+          await settleAdminAction(tx, session);
         }
+      } catch (err) {
+        if (!(err instanceof AdminActionError)) throw err;
+        await session.abortTransaction();
+        return res.status(err.status).json({ message: err.message });
+      }
 
-        const amtDec = toDecimal(amount);
-        const senderBalance = sender.balance || mongoose.Types.Decimal128.fromString("0");
+      await session.commitTransaction();
+      await setIdempotency(idempotencyKey);
 
-        if (compareDecimal(senderBalance, amtDec) < 0) {
-          await session.abortTransaction();
-          return res.status(400).json({ message: "Insufficient balance" });
-        }
+      const io = req.app.get("io");
 
-        sender.balance = mongoose.Types.Decimal128.fromString(
-          String(Number(senderBalance.toString()) - Number(amount))
-        );
-        receiver.balance = mongoose.Types.Decimal128.fromString(
-          String(
-            Number((receiver.balance || mongoose.Types.Decimal128.fromString("0")).toString()) +
-              Number(amount)
-          )
-        );
-
-        await sender.save({ session });
-        await receiver.save({ session });
-
-        const tx = await Transaction.create(
-          [
-            {
-              fromUserId: senderId,
-              toUserId,
-              amount: amtDec,
-              type: "manual",
-              status: "approved",
-              idempotencyKey,
-              reason,
-              adminId: req.user._id,
-              adminIp,
-              adminUserAgent,
-            },
-          ],
-          { session }
-        );
-
-        await session.commitTransaction();
-        await setIdempotency(idempotencyKey);
-        await invalidateBalanceCache([senderId.toString(), toUserId.toString()]);
-
-        const io = req.app.get("io");
+      if (secondApproval) {
         if (io) {
-          io.emit("balanceUpdated", { userIds: [senderId.toString(), toUserId.toString()] });
-          io.emit("transactionCreated", { transactionId: tx[0]._id.toString() });
+          io.emit("approvalRequested", { transactionId: tx._id.toString(), type: tx.type });
         }
 
-        logger.info(`Transfer completed: ${tx[0]._id} by admin ${req.user.email}`);
+        logger.info(`Transfer ${tx._id} by admin ${req.user.email} awaiting second approval`);
 
-        res.json({
-          message: "Transfer completed",
+        return res.status(202).json({
+          message: "Transfer awaiting approval by a second admin",
           transaction: {
-            ...tx[0].toObject(),
-            amount: tx[0].amount.toString(),
+            ...tx.toObject(),
+            amount: tx.amount.toString(),
           },
         });
-        return;
-      } else {
-        const amtDec = toDecimal(amount);
-        receiver.balance = mongoose.Types.Decimal128.fromString(
-          String(
-            Number((receiver.balance || mongoose.Types.Decimal128.fromString("0")).toString()) +
-              Number(amount)
-          )
-        );
-
-        await receiver.save({ session });
-
-        const tx = await Transaction.create(
-          [
-            {
-              fromUserId: null,
-              toUserId,
-              amount: amtDec,
-              type: "manual",
-              status: "approved",
-              idempotencyKey,
-              reason,
-              adminId: req.user._id,
-              adminIp,
-              adminUserAgent,
-            },
-          ],
-          { session }
-        );
-
-        await session.commitTransaction();
-        await setIdempotency(idempotencyKey);
-        await invalidateBalanceCache([toUserId.toString()]);
-
-        const io = req.app.get("io");
-        if (io) {
-          io.emit("balanceUpdated", { userIds: [toUserId.toString()] });
-          io.emit("transactionCreated", { transactionId: tx[0]._id.toString() });
-        }
+      }
 
-        logger.info(`Credit transfer completed: ${tx[0]._id} by admin ${req.user.email}`);
+      await invalidateBalanceCache(userIds);
 
-        res.json({
-          message: "Transfer completed",
-          transaction: {
-            ...tx[0].toObject(),
-            amount: tx[0].amount.toString(),
-          },
-        });
-        return;
+      if (io) {
+        io.emit("balanceUpdated", { userIds });
+        io.emit("transactionCreated", { transactionId: tx._id.toString() });
       }
+
+      logger.info(`${senderId ? "Transfer" : "Credit transfer"} completed: ${tx._id} by admin ${req.user.email}`);
+
+      res.json({
+        message: "Transfer completed",
+        transaction: {
+          ...tx.toObject(),
+          amount: tx.amount.toString(),
+        },
+      });
+      return;
     }
 
     await session.abortTransaction();
@@ -230,64 +182,19 @@ export const approveRequest = async (req, res) => {
     const { transactionId } = req.body;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
 
-    const requestTx = await Transaction.findById(transactionId).session(session);
-    if (!requestTx) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "Transaction not found" });
-    }
-
-    if (requestTx.type !== "request") {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Can only approve request transactions" });
-    }
-
-    if (requestTx.status !== "pending") {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Request is not pending" });
-    }
-
-    if (!requestTx.fromUserId || !requestTx.toUserId) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Invalid request transaction" });
-    }
-
-    const sender = await User.findById(requestTx.fromUserId).session(session);
-    const receiver = await User.findById(requestTx.toUserId).session(session);
-
-    if (!sender || !receiver) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    const amount = requestTx.amount;
-    const senderBalance = sender.balance || mongoose.Types.Decimal128.fromString("0");
-
-    if (compareDecimal(senderBalance, amount) < 0) {
+    let requestTx;
+    try {
+      requestTx = await approvePendingRequest(
+        transactionId,
+        { adminId: req.user._id, adminIp, adminUserAgent },
+        session
+      );
+    } catch (err) {
+      if (!(err instanceof RequestDecisionError)) throw err;
       await session.abortTransaction();
-      return res.status(400).json({ message: "Sender has insufficient balance" });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    // Deduct from sender
-    sender.balance = mongoose.Types.Decimal128.fromString(
-      String(Number(senderBalance.toString()) - Number(amount.toString()))
-    );
-    
-    // Add to receiver
-    const receiverBalance = receiver.balance || mongoose.Types.Decimal128.fromString("0");
-    receiver.balance = mongoose.Types.Decimal128.fromString(
-      String(Number(receiverBalance.toString()) + Number(amount.toString()))
-    );
-
-    await sender.save({ session });
-    await receiver.save({ session });
-
-    // Update transaction status
-    requestTx.status = "approved";
-    requestTx.adminId = req.user._id;
-    requestTx.adminIp = adminIp;
-    requestTx.adminUserAgent = adminUserAgent;
-    await requestTx.save({ session });
-
     await session.commitTransaction();
     await invalidateBalanceCache([
       requestTx.fromUserId.toString(),
@@ -328,32 +235,19 @@ export const rejectRequest = async (req, res) => {
     const { transactionId, reason } = req.body;
     const { adminIp, adminUserAgent } = req.auditInfo || {};
 
-    const requestTx = await Transaction.findById(transactionId).session(session);
-    if (!requestTx) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "Transaction not found" });
-    }
-
-    if (requestTx.type !== "request") {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Can only reject request transactions" });
-    }
-
-    if (requestTx.status !== "pending") {
+    let requestTx;
+    try {
+      requestTx = await rejectPendingRequest(
+        transactionId,
+        { adminId: req.user._id, adminIp, adminUserAgent, reason },
+        session
+      );
+    } catch (err) {
+      if (!(err instanceof RequestDecisionError)) throw err;
       await session.abortTransaction();
-      return res.status(400).json({ message: "Request is not pending" });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    // Update transaction status to failed
-    requestTx.status = "failed";
-    requestTx.adminId = req.user._id;
-    requestTx.adminIp = adminIp;
-    requestTx.adminUserAgent = adminUserAgent;
-    if (reason) {
-      requestTx.reason = (requestTx.reason ? requestTx.reason + " | " : "") + `Rejected: ${reason}`;
-    }
-    await requestTx.save({ session });
-
     await session.commitTransaction();
 
     const io = req.app.get("io");
@@ -379,114 +273,121 @@ export const rejectRequest = async (req, res) => {
   }
 };
 
-export const reverseTransaction = async (req, res) => {
+/**
+ * Let a player withdraw their own pending request
+ */
+export const cancelRequest = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { transactionId, reason } = req.body;
-    const { adminIp, adminUserAgent } = req.auditInfo || {};
-
-    const originalTx = await Transaction.findById(transactionId).session(session);
-    if (!originalTx) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "Transaction not found" });
-    }
-
-    if (originalTx.status === "reversed") {
+    const { transactionId } = req.params;
+
+    let requestTx;
+    try {
+      requestTx = await cancelPendingRequest(
+        transactionId,
+        { userId: req.user._id, reason: req.body?.reason },
+        session
+      );
+    } catch (err) {
+      if (!(err instanceof RequestDecisionError)) throw err;
       await session.abortTransaction();
-      return res.status(400).json({ message: "Transaction already reversed" });
+      return res.status(err.status).json({ message: err.message });
     }
 
-    if (originalTx.type === "reversal") {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Cannot reverse a reversal transaction" });
-    }
+    await session.commitTransaction();
 
-    if (originalTx.status !== "approved") {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Can only reverse approved transactions" });
+    const io = req.app.get("io");
+    if (io) {
+      io.emit("requestStatusChanged", {
+        transactionId: requestTx._id.toString(),
+        status: requestTx.status,
+        userIds: [requestTx.fromUserId.toString(), requestTx.toUserId.toString()],
+      });
     }
 
-    if (!originalTx.fromUserId || !originalTx.toUserId) {
-      await session.abortTransaction();
-      return res.status(400).json({ message: "Cannot reverse transaction without sender/receiver" });
-    }
+    logger.info(`Request cancelled: ${transactionId} by ${req.user.email}`);
 
-    const sender = await User.findById(originalTx.toUserId).session(session);
-    const receiver = await User.findById(originalTx.fromUserId).session(session);
+    res.json({
+      message: "Request cancelled",
+      transaction: {
+        ...requestTx.toObject(),
+        amount: requestTx.amount.toString(),
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error("Cancel request error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  } finally {
+    session.endSession();
+  }
+};
 
-    if (!sender || !receiver) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: "User not found" });
-    }
+export const reverseTransaction = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
-    const amount = originalTx.amount;
-    const senderBalance = sender.balance || mongoose.Types.Decimal128.fromString("0");
-    const receiverBalance = receiver.balance || mongoose.Types.Decimal128.fromString("0");
+  try {
+    const { transactionId, reason, amount, upToAvailableBalance } = req.body;
+    const { adminIp, adminUserAgent } = req.auditInfo || {};
 
-    if (compareDecimal(senderBalance, amount) < 0) {
+    const originalTx = await Transaction.findById(transactionId).session(session);
+    if (!originalTx) {
       await session.abortTransaction();
-      return res.status(400).json({ message: "Insufficient balance for reversal" });
+      return res.status(404).json({ message: "Transaction not found" });
     }
 
-    sender.balance = mongoose.Types.Decimal128.fromString(
-      String(Number(senderBalance.toString()) - Number(amount.toString()))
-    );
-    receiver.balance = mongoose.Types.Decimal128.fromString(
-      String(Number(receiverBalance.toString()) + Number(amount.toString()))
-    );
-
-    await sender.save({ session });
-    await receiver.save({ session });
-
-    originalTx.status = "reversed";
-    await originalTx.save({ session });
-
-    const reversalTx = await Transaction.create(
-      [
+    let reversalTx;
+    try {
+      reversalTx = await applyReversal(
+        originalTx,
         {
-          fromUserId: originalTx.toUserId,
-          toUserId: originalTx.fromUserId,
-          amount,
-          type: "reversal",
-          status: "approved",
-          isReversal: true,
-          reversedTransactionId: originalTx._id,
           reason,
           adminId: req.user._id,
           adminIp,
           adminUserAgent,
+          amount: amount ?? null,
+          upToAvailable: upToAvailableBalance === true,
         },
-      ],
-      { session }
-    );
+        session
+      );
+    } catch (err) {
+      if (!(err instanceof ReversalError)) throw err;
+      await session.abortTransaction();
+      return res.status(err.status).json({ message: err.message });
+    }
 
     await session.commitTransaction();
-    await invalidateBalanceCache([
-      originalTx.fromUserId.toString(),
-      originalTx.toUserId.toString(),
-    ]);
+
+    const userIds = [originalTx.fromUserId, originalTx.toUserId]
+      .filter(Boolean)
+      .map((id) => id.toString());
+    await invalidateBalanceCache(userIds);
 
     const io = req.app.get("io");
     if (io) {
-      io.emit("balanceUpdated", {
-        userIds: [originalTx.fromUserId.toString(), originalTx.toUserId.toString()],
-      });
-      io.emit("transactionCreated", { transactionId: reversalTx[0]._id.toString() });
+      io.emit("balanceUpdated", { userIds });
+      io.emit("transactionCreated", { transactionId: reversalTx._id.toString() });
     }
 
-    logger.info(`Transaction reversed: ${transactionId} by admin ${req.user.email}`);
+    logger.info(`Transaction reversed: ${reversalTx.amount.toString()} of ${transactionId} by admin ${req.user.email}`);
 
     res.json({
-      message: "Transaction reversed successfully",
+      message: originalTx.status === "reversed"
+        ? "Transaction reversed successfully"
+        : "Transaction partially reversed",
+      reversedAmount: reversalTx.amount.toString(),
+      remainingAmount: formatChips(unreversedAmount(originalTx)),
       originalTransaction: {
         ...originalTx.toObject(),
         amount: originalTx.amount.toString(),
+        reversedAmount: originalTx.reversedAmount.toString(),
       },
       reversalTransaction: {
-        ...reversalTx[0].toObject(),
-        amount: reversalTx[0].amount.toString(),
+        ...reversalTx.toObject(),
+        amount: reversalTx.amount.toString(),
       },
     });
   } catch (error) {
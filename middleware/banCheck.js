@@ -22,6 +22,7 @@ export const checkBanStatus = async (req, res, next) => {
         message: "Account is banned",
         banReason: user.banReason,
         bannedAt: user.bannedAt,
+        banExpiresAt: user.banExpiresAt,
       });
     }
 
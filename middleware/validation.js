@@ -1,4 +1,5 @@
-import { body, query, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
+import { isValidChipAmount } from "../utils/chipAmount.js";
 
 export const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -24,8 +25,8 @@ export const transferValidation = [
   body("toUserId").isMongoId().withMessage("Invalid toUserId"),
   body("fromUserId").optional().isMongoId().withMessage("Invalid fromUserId"),
   body("amount")
-    .isFloat({ min: 0.01, max: 20000000000000 })
-    .withMessage("Amount must be between 0.01 and 20 trillion"),
+    .custom(isValidChipAmount)
+    .withMessage("Amount must be a positive chip amount up to 20 trillion within the configured chip precision"),
   body("reason").optional().isString().trim().isLength({ max: 500 }),
   body("type").isIn(["manual", "request"]).withMessage("Invalid type"),
   validate,
@@ -34,25 +35,165 @@ export const transferValidation = [
 export const reverseValidation = [
   body("transactionId").isMongoId().withMessage("Invalid transactionId"),
   body("reason").isString().trim().isLength({ min: 1, max: 500 }),
+  body("amount")
+    .optional()
+    .custom(isValidChipAmount)
+    .withMessage("Amount must be a positive chip amount within the configured chip precision"),
+  body("upToAvailableBalance").optional().isBoolean().toBoolean(),
   validate,
 ];
 
+// Transaction filters, checked in the query string or the body
+const transactionFilterRules = (location) => [
+  location("fromDate").optional().isISO8601(),
+  location("toDate").optional().isISO8601(),
+  location("status").optional().isIn([
+    "pending",
+    "approved",
+    "partially_reversed",
+    "reversed",
+    "failed",
+    "cancelled",
+    "expired",
+  ]),
+  location("type").optional().isIn(["manual", "daily-mint", "request", "reversal", "chip-recovery"]),
+  location("userId").optional().isMongoId(),
+  location("minAmount").optional().custom(isValidChipAmount),
+  location("maxAmount").optional().custom(isValidChipAmount),
+  location("batchId").optional().isString().trim().isLength({ max: 100 }),
+  location("adminId").optional().isMongoId(),
+  location("counterpartyId").optional().isMongoId(),
+  location("direction").optional().isIn(["credit", "debit"]),
+  location("reversalStatus").optional().isIn(["reversed", "partially-reversed", "not-reversed", "reversal"]),
+  location("search").optional().isString().trim().isLength({ min: 1, max: 200 }),
+];
+
 export const transactionQueryValidation = [
-  query("fromDate").optional().isISO8601(),
-  query("toDate").optional().isISO8601(),
-  query("status").optional().isIn(["pending", "approved", "reversed", "failed"]),
-  query("type").optional().isIn(["manual", "daily-mint", "request", "reversal"]),
-  query("userId").optional().isMongoId(),
-  query("page").optional().isInt({ min: 1 }),
+  ...transactionFilterRules(query),
+  query("cursor").optional().isString(),
   query("limit").optional().isInt({ min: 1, max: 1000 }),
   validate,
 ];
 
+export const transactionIdValidation = [
+  param("id").isMongoId().withMessage("Invalid transaction ID"),
+  validate,
+];
+
+export const exportJobValidation = [
+  body("format").optional().isIn(["csv", "jsonl", "xlsx"]),
+  ...transactionFilterRules((field) => body(`filters.${field}`)),
+  validate,
+];
+
+export const requestQueueValidation = [
+  query("sort").optional().isIn(["age", "amount", "risk"]),
+  query("order").optional().isIn(["asc", "desc"]),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 500 }),
+  validate,
+];
+
+export const bulkRequestDecisionValidation = [
+  body("transactionIds")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("transactionIds must be a list of 1 to 500 IDs"),
+  body("transactionIds.*").isMongoId().withMessage("Invalid transaction ID"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const bulkBatchDecisionValidation = [
+  param("batchId").matches(/^bulk-[\w-]+$/).withMessage("Invalid bulk transfer batch ID"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+// Routes acting on one transaction by ID, with an optional reason
+export const transactionActionValidation = [
+  param("transactionId").isMongoId().withMessage("Invalid transaction ID"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const chipRecoveryValidation = [
+  body("bannedUserId").isMongoId().withMessage("Invalid bannedUserId"),
+  body("verifiedUserId").optional().isMongoId().withMessage("Invalid verifiedUserId"),
+  body("amount")
+    .optional()
+    .custom(isValidChipAmount)
+    .withMessage("Amount must be a positive chip amount within the configured chip precision"),
+  body("allocations")
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage("allocations must be a list of 1 to 50 shares"),
+  body("allocations.*.verifiedUserId").isMongoId().withMessage("Invalid verifiedUserId in allocations"),
+  body("allocations.*.amount").optional().custom(isValidChipAmount).withMessage("Invalid share amount"),
+  body("allocations.*.percentage").optional().isFloat({ gt: 0, max: 100 }).withMessage("Invalid share percentage"),
+  body("forfeit").optional().isObject().withMessage("forfeit must be { amount } or { percentage }"),
+  body("forfeit.amount").optional().custom(isValidChipAmount).withMessage("Invalid forfeit amount"),
+  body("forfeit.percentage").optional().isFloat({ gt: 0, max: 100 }).withMessage("Invalid forfeit percentage"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const recoveryDecisionValidation = [
+  param("recoveryId").isMongoId().withMessage("Invalid recovery ID"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const recoveryHistoryValidation = [
+  query("status").optional().isIn(["pending", "completed", "rejected"]),
+  query("bannedUserId").optional().isMongoId().withMessage("Invalid bannedUserId"),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 500 }),
+  validate,
+];
+
+export const recoveryIdValidation = [
+  param("recoveryId").isMongoId().withMessage("Invalid recovery ID"),
+  validate,
+];
+
+export const userBansValidation = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 500 }),
+  validate,
+];
+
+export const statementValidation = [
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("userId").optional().isMongoId(),
+  validate,
+];
+
+// Shared by the mint and its preview; `limit` sizes the dry-run sample
 export const dailyMintValidation = [
   body("amountPerUser")
     .optional()
-    .isFloat({ min: 0.01, max: 20000000000000 })
-    .withMessage("Amount must be between 0.01 and 20 trillion"),
+    .custom(isValidChipAmount)
+    .withMessage("Amount must be a positive chip amount up to 20 trillion within the configured chip precision"),
+  query("limit").optional().isInt({ min: 1, max: 1000 }).toInt(),
+  validate,
+];
+
+export const dailyMintRunsValidation = [
+  query("limit").optional().isInt({ min: 1, max: 365 }).toInt(),
+  validate,
+];
+
+export const dailyMintRunValidation = [
+  param("runId").isMongoId().withMessage("Invalid run ID"),
+  validate,
+];
+
+export const dailyMintReversalValidation = [
+  param("batchId").matches(/^daily-mint-[\w-]+$/).withMessage("Invalid daily mint batch ID"),
+  body("reason").isString().trim().isLength({ min: 1, max: 500 }),
+  body("upToAvailableBalance").optional().isBoolean().toBoolean(),
   validate,
 ];
 
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+/**
+ * One ban or unban of a user, kept after the ban itself is lifted. A timed
+ * ban records when it expires; an unban made by the expiry job has
+ * `automatic` set and no admin.
+ */
+const banHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ["ban", "unban"],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  // Ban end for timed bans; null for permanent bans and unbans
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  adminIp: {
+    type: String,
+    default: null
+  },
+  adminUserAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: "ban_history"
+});
+
+banHistorySchema.index({ userId: 1, createdAt: -1 });
+
+const BanHistory = mongoose.model("BanHistory", banHistorySchema);
+export default BanHistory;
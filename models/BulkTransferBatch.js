@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+
+const bulkTransferBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: [
+      "pending_approval",
+      "rejected",
+      "queued",
+      "processing",
+      "completed",
+      "completed_with_errors",
+      "failed",
+      "cancelled"
+    ],
+    required: true,
+    default: "queued"
+  },
+  // atomic: any failed row aborts the whole batch
+  // best-effort: successful rows commit, failed rows are reported
+  mode: {
+    type: String,
+    enum: ["atomic", "best-effort"],
+    required: true,
+    default: "best-effort"
+  },
+  format: {
+    type: String,
+    enum: ["csv", "json", "xlsx"],
+    default: "csv"
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  totalRows: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Checkpoint: chunks up to and including this index are fully committed
+  lastCompletedChunk: {
+    type: Number,
+    default: -1
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  successCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cancelledCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  adminIp: {
+    type: String,
+    trim: true
+  },
+  adminUserAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Sum of every row; above DUAL_APPROVAL_THRESHOLD the batch waits in
+  // pending_approval until a second admin approves or rejects it
+  totalAmount: {
+    type: String,
+    default: "0"
+  },
+  approval: {
+    outcome: { type: String, enum: ["approved", "rejected"] },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: Date,
+    reason: { type: String, trim: true, maxlength: 500 }
+  },
+  // Batch-level rollback of committed rows
+  reversal: {
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "completed_with_errors", "failed"],
+      default: undefined
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    requestedAt: Date,
+    completedAt: Date,
+    reversedCount: {
+      type: Number,
+      default: 0
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    error: String
+  }
+}, {
+  timestamps: true,
+  collection: "bulk_transfer_batches"
+});
+
+bulkTransferBatchSchema.index({ batchId: 1 }, { unique: true });
+bulkTransferBatchSchema.index({ adminId: 1, createdAt: -1 });
+bulkTransferBatchSchema.index({ status: 1, createdAt: -1 });
+
+const BulkTransferBatch = mongoose.model("BulkTransferBatch", bulkTransferBatchSchema);
+export default BulkTransferBatch;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// One row of an uploaded bulk transfer file and what happened to it
+const bulkTransferRowSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed", "skipped", "cancelled"],
+    required: true,
+    default: "pending"
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+  // Set when the batch is rolled back
+  reversalStatus: {
+    type: String,
+    enum: ["reversed", "failed"],
+    default: undefined
+  },
+  reversalError: {
+    type: String,
+    default: null
+  },
+  reversalTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: "bulk_transfer_rows"
+});
+
+bulkTransferRowSchema.index({ batchId: 1, rowNumber: 1 }, { unique: true });
+bulkTransferRowSchema.index({ batchId: 1, status: 1 });
+bulkTransferRowSchema.index({ batchId: 1, chunkIndex: 1, rowNumber: 1 });
+
+const BulkTransferRow = mongoose.model("BulkTransferRow", bulkTransferRowSchema);
+export default BulkTransferRow;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+/**
+ * One chip recovery from a banned account, from proposal to decision. On
+ * proposal the chips move into the recovery escrow (`holdTransactionId`); a
+ * second admin's approval pays each share out of escrow with its own
+ * `chip-recovery` transaction, and a rejection releases the hold back
+ * (`releaseTransactionId`). Every transaction links back here through
+ * `recoveryId`.
+ */
+const chipRecoverySchema = new mongoose.Schema({
+  bannedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "completed", "rejected"],
+    required: true,
+    default: "pending"
+  },
+  totalAmount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  // Banned account balance when the recovery was requested
+  balanceAtRequest: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  allocations: [{
+    _id: false,
+    // null for the forfeit share
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+    account: { type: String, required: true },
+    amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    // Percentage of the total when the share was given as one
+    percentage: { type: String, default: null },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null
+    }
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // The proposing admin
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  adminIp: {
+    type: String,
+    default: null
+  },
+  adminUserAgent: {
+    type: String,
+    default: null
+  },
+  holdTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+  releaseTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+  decision: {
+    outcome: { type: String, enum: ["approved", "rejected"] },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: Date,
+    reason: { type: String, trim: true, maxlength: 500, default: null },
+    adminIp: { type: String, default: null },
+    adminUserAgent: { type: String, default: null }
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: "chip_recoveries"
+});
+
+chipRecoverySchema.index({ bannedUserId: 1, createdAt: -1 });
+chipRecoverySchema.index({ status: 1, createdAt: -1 });
+chipRecoverySchema.index({ createdAt: -1 });
+
+const ChipRecovery = mongoose.model("ChipRecovery", chipRecoverySchema);
+export default ChipRecovery;
@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+
+/**
+ * One daily mint run. `runDate` (UTC "YYYY-MM-DD") is unique, which is what
+ * stops the mint from running twice on the same day. Users are credited in
+ * `_id` order, chunk by chunk; `lastUserId` is the checkpoint a resumed run
+ * continues after.
+ *
+ * A `legacy` run stands in for a `daily-mint-*` batch minted before runs
+ * were recorded. It has no `runDate` and exists so the batch can be rolled
+ * back like any other.
+ */
+const dailyMintRunSchema = new mongoose.Schema({
+  runDate: {
+    type: String,
+    required() {
+      return !this.legacy;
+    }
+  },
+  legacy: {
+    type: Boolean,
+    default: false
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed"],
+    required: true,
+    default: "queued"
+  },
+  trigger: {
+    type: String,
+    enum: ["manual", "scheduled"],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  adminIp: {
+    type: String,
+    default: null
+  },
+  adminUserAgent: {
+    type: String,
+    default: null
+  },
+  // Eligibility and tiers are evaluated against this time for the whole
+  // run, so a resumed run selects the same users
+  referenceAt: {
+    type: Date,
+    required: true
+  },
+  // Replaces every tier's amount when set
+  amountPerUser: {
+    type: String,
+    default: null
+  },
+  estimatedRecipients: {
+    type: Number,
+    default: 0
+  },
+  lastUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  chunksCompleted: {
+    type: Number,
+    default: 0
+  },
+  // Recipients and chips per eligibility tier, amounts as chip strings
+  tiers: [{
+    _id: false,
+    name: { type: String, required: true },
+    activeWithinDays: { type: Number, required: true },
+    amountPerUser: { type: String, required: true },
+    recipientCount: { type: Number, default: 0 },
+    totalAmount: { type: String, default: "0" }
+  }],
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: String,
+    default: "0"
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Rollback of the whole batch, walked in transaction `_id` order;
+  // `lastTransactionId` is the checkpoint a retried job continues after
+  reversal: {
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "completed_with_errors", "failed"],
+      default: undefined
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    upToAvailable: {
+      type: Boolean,
+      default: false
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    adminIp: String,
+    adminUserAgent: String,
+    requestedAt: Date,
+    completedAt: Date,
+    estimatedCount: {
+      type: Number,
+      default: 0
+    },
+    reversedCount: {
+      type: Number,
+      default: 0
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    lastTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // The most recent mints that could not be reversed
+    failures: [{
+      _id: false,
+      transactionId: mongoose.Schema.Types.ObjectId,
+      error: String
+    }],
+    error: String
+  }
+}, {
+  timestamps: true,
+  collection: "daily_mint_runs"
+});
+
+dailyMintRunSchema.index({ runDate: 1 }, { unique: true, partialFilterExpression: { runDate: { $type: "string" } } });
+dailyMintRunSchema.index({ batchId: 1 }, { unique: true });
+dailyMintRunSchema.index({ createdAt: -1 });
+
+const DailyMintRun = mongoose.model("DailyMintRun", dailyMintRunSchema);
+export default DailyMintRun;
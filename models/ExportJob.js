@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const exportJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed", "expired"],
+    required: true,
+    default: "queued"
+  },
+  format: {
+    type: String,
+    enum: ["csv", "jsonl", "xlsx"],
+    required: true
+  },
+  // transactionQueryValidation parameters, as submitted
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  // GridFS file in the "exports" bucket
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The file is deleted after this time
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: "export_jobs"
+});
+
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+const ExportJob = mongoose.model("ExportJob", exportJobSchema);
+export default ExportJob;
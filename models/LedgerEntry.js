@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// One row per debit or credit line. Every Transaction that moves chips owns
+// a balanced set of lines (sum of debits === sum of credits).
+const ledgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    required: true
+  },
+  account: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ["debit", "credit"],
+    required: true
+  },
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ["manual", "daily-mint", "request", "reversal", "chip-recovery"],
+    required: true
+  },
+  batchId: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: "ledger_entries"
+});
+
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ batchId: 1 });
+
+// Ledger lines are append-only, same as transactions
+ledgerEntrySchema.pre([
+  "updateOne",
+  "findOneAndUpdate",
+  "updateMany",
+  "findByIdAndUpdate"
+], function() {
+  throw new Error("Ledger entries are immutable and cannot be updated");
+});
+
+ledgerEntrySchema.pre([
+  "deleteOne",
+  "findOneAndDelete",
+  "deleteMany",
+  "findByIdAndDelete"
+], function() {
+  throw new Error("Ledger entries are immutable and cannot be deleted");
+});
+
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+export default LedgerEntry;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One row per user whose balances disagree in a reconciliation run
+const reconciliationDiscrepancySchema = new mongoose.Schema({
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ReconciliationReport",
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true
+  },
+  storedBalance: {
+    type: String,
+    required: true
+  },
+  historyBalance: {
+    type: String,
+    required: true
+  },
+  ledgerBalance: {
+    type: String,
+    required: true
+  },
+  cachedBalance: {
+    type: String,
+    default: null
+  },
+  // storedBalance - historyBalance
+  difference: {
+    type: String,
+    required: true
+  },
+  issues: {
+    type: [String],
+    enum: ["stored_vs_history", "stored_vs_ledger", "cache_mismatch"],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: "reconciliation_discrepancies"
+});
+
+reconciliationDiscrepancySchema.index({ reportId: 1, userId: 1 });
+reconciliationDiscrepancySchema.index({ userId: 1, createdAt: -1 });
+
+const ReconciliationDiscrepancy = mongoose.model("ReconciliationDiscrepancy", reconciliationDiscrepancySchema);
+export default ReconciliationDiscrepancy;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const reconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    required: true,
+    default: "running"
+  },
+  trigger: {
+    type: String,
+    enum: ["manual", "scheduled"],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0
+  },
+  cacheMismatchCount: {
+    type: Number,
+    default: 0
+  },
+  // Sums across all users, as chip strings
+  totals: {
+    stored: { type: String, default: "0" },
+    history: { type: String, default: "0" },
+    ledger: { type: String, default: "0" }
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: "reconciliation_reports"
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ status: 1, createdAt: -1 });
+
+const ReconciliationReport = mongoose.model("ReconciliationReport", reconciliationReportSchema);
+export default ReconciliationReport;
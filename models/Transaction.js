@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { isValidChipAmount } from "../utils/chipAmount.js";
 
 const transactionSchema = new mongoose.Schema({
   fromUserId: {
@@ -11,15 +12,28 @@ const transactionSchema = new mongoose.Schema({
     ref: "User",
     default: null
   },
+  // Double-entry ledger accounts ("user:<id>" or "system:<name>"), so a
+  // null fromUserId/toUserId still names the system account on the other side
+  fromAccount: {
+    type: String,
+    trim: true
+  },
+  toAccount: {
+    type: String,
+    trim: true
+  },
   amount: {
     type: mongoose.Schema.Types.Decimal128,
     required: true,
     validate: {
       validator: function(value) {
-        const numValue = Number(value.toString());
-        return numValue > 0 && numValue <= 20000000000000;
+        try {
+          return isValidChipAmount(value);
+        } catch (err) {
+          return false;
+        }
       },
-      message: "Amount must be between 0 and 20 trillion"
+      message: "Amount must be between 0 and 20 trillion with at most the configured chip precision"
     }
   },
   type: {
@@ -29,10 +43,28 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "approved", "reversed", "failed"],
+    enum: ["pending", "approved", "partially_reversed", "reversed", "failed", "cancelled", "expired"],
     required: true,
     default: "pending"
   },
+  // Pending requests move to "expired" after this time
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // When a request was approved, rejected, cancelled or expired
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  // Why a request or held admin action was rejected or cancelled; the
+  // original reason is kept as it was
+  resolutionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
   idempotencyKey: {
     type: String,
     trim: true,
@@ -42,6 +74,11 @@ const transactionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Cumulative amount moved back by reversals of this transaction
+  reversedAmount: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: null
+  },
   reversedTransactionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Transaction",
@@ -89,6 +126,12 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: 500
+  },
+  // The ChipRecovery this transaction settles one share of
+  recoveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChipRecovery",
+    default: null
   }
 }, {
   timestamps: true,
@@ -96,15 +139,21 @@ const transactionSchema = new mongoose.Schema({
 });
 
 // Indexes
-transactionSchema.index({ fromUserId: 1, createdAt: -1 });
-transactionSchema.index({ toUserId: 1, createdAt: -1 });
-transactionSchema.index({ status: 1, createdAt: -1 });
-transactionSchema.index({ type: 1, createdAt: -1 });
+// Listings sort newest first with _id as tie-breaker for keyset pagination
+transactionSchema.index({ fromUserId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ toUserId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ fromUserId: 1, toUserId: 1, createdAt: -1 }); // counterparty filter
+transactionSchema.index({ status: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ type: 1, createdAt: -1, _id: -1 });
 transactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true }); // unique + sparse handled here only
 transactionSchema.index({ batchId: 1, createdAt: -1 });
 transactionSchema.index({ adminId: 1, createdAt: -1 });
 transactionSchema.index({ reversedTransactionId: 1 });
-transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ recoveryId: 1 });
+transactionSchema.index({ amount: 1, createdAt: -1 });
+transactionSchema.index({ createdAt: -1, _id: -1 });
+transactionSchema.index({ reason: "text" });
+transactionSchema.index({ type: 1, status: 1, expiresAt: 1 });
 
 // Make transactions immutable
 transactionSchema.pre([
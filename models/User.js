@@ -56,6 +56,11 @@ const userSchema = new mongoose.Schema({
     ref: "User",
     default: null
   },
+  // When a timed ban lifts itself; null for permanent bans
+  banExpiresAt: {
+    type: Date,
+    default: null
+  },
   verifiedAt: {
     type: Date,
     default: null
@@ -97,6 +102,22 @@ const userSchema = new mongoose.Schema({
   accountRecoveryEnabled: {
     type: Boolean,
     default: true
+  },
+  // Daily bonus claims; lastClaimDay is the UTC day ("YYYY-MM-DD") of the last claim
+  dailyBonus: {
+    lastClaimDay: {
+      type: String,
+      default: null
+    },
+    lastClaimedAt: {
+      type: Date,
+      default: null
+    },
+    streak: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
   }
 }, {
   timestamps: true,
@@ -108,6 +129,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isBanned: 1, isVerified: 1 });
 userSchema.index({ isBanned: 1 });
+userSchema.index({ isBanned: 1, banExpiresAt: 1 });
 userSchema.index({ isVerified: 1 });
 userSchema.index({ suspiciousActivityCount: -1 });
 
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  getPendingApprovals,
+  approvePendingAction,
+  rejectPendingAction,
+} from "../controllers/approvalController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+import { transactionActionValidation } from "../middleware/validation.js";
+
+const router = express.Router();
+
+router.get("/approvals", apiLimiter, protect, authorize("Admin"), getPendingApprovals);
+
+router.post(
+  "/approvals/:transactionId/approve",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  transactionActionValidation,
+  approvePendingAction
+);
+
+router.post(
+  "/approvals/:transactionId/reject",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  transactionActionValidation,
+  rejectPendingAction
+);
+
+export default router;
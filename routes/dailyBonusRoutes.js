@@ -0,0 +1,10 @@
+import express from "express";
+import { claimBonus } from "../controllers/dailyBonusController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.post("/daily-bonus/claim", apiLimiter, protect, authorize("Player"), claimBonus);
+
+export default router;
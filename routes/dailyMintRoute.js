@@ -1,8 +1,20 @@
 import express from "express";
-import { dailyMint } from "../controllers/dailyMintController.js";
+import {
+  dailyMint,
+  previewDailyMintRun,
+  getDailyMintRuns,
+  getDailyMintRun,
+  resumeDailyMintRun,
+  reverseDailyMint,
+} from "../controllers/dailyMintController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 import { apiLimiter } from "../middleware/rateLimiter.js";
-import { dailyMintValidation } from "../middleware/validation.js";
+import {
+  dailyMintValidation,
+  dailyMintRunsValidation,
+  dailyMintRunValidation,
+  dailyMintReversalValidation,
+} from "../middleware/validation.js";
 import { captureAuditInfo } from "../middleware/audit.js";
 
 const router = express.Router();
@@ -17,4 +29,50 @@ router.post(
   dailyMint
 );
 
+router.post(
+  "/daily-mint/preview",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  dailyMintValidation,
+  previewDailyMintRun
+);
+
+router.get(
+  "/daily-mint/runs",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  dailyMintRunsValidation,
+  getDailyMintRuns
+);
+
+router.get(
+  "/daily-mint/runs/:runId",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  dailyMintRunValidation,
+  getDailyMintRun
+);
+
+router.post(
+  "/daily-mint/runs/:runId/resume",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  dailyMintRunValidation,
+  resumeDailyMintRun
+);
+
+router.post(
+  "/daily-mint/:batchId/reverse",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  captureAuditInfo,
+  dailyMintReversalValidation,
+  reverseDailyMint
+);
+
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { createExportJob, getExportJob, downloadExport } from "../controllers/exportController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+import { exportJobValidation } from "../middleware/validation.js";
+
+const router = express.Router();
+
+router.post("/exports", apiLimiter, protect, authorize("Admin"), exportJobValidation, createExportJob);
+
+router.get("/exports/:jobId", apiLimiter, protect, authorize("Admin"), getExportJob);
+
+// Authorised by the signed link token, not a session
+router.get("/exports/:jobId/download", apiLimiter, downloadExport);
+
+export default router;
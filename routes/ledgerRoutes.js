@@ -0,0 +1,12 @@
+import express from "express";
+import { getSupply, getUserLedger } from "../controllers/ledgerController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.get("/ledger/supply", apiLimiter, protect, authorize("Admin"), getSupply);
+
+router.get("/ledger/users/:userId", apiLimiter, protect, getUserLedger);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  runReconciliationNow,
+  getReconciliationReports,
+  getReconciliationReport,
+  getUserReconciliation,
+} from "../controllers/reconciliationController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.post("/reconciliation/run", apiLimiter, protect, authorize("Admin"), runReconciliationNow);
+
+router.get("/reconciliation/reports", apiLimiter, protect, authorize("Admin"), getReconciliationReports);
+
+router.get("/reconciliation/reports/:reportId", apiLimiter, protect, authorize("Admin"), getReconciliationReport);
+
+router.get("/reconciliation/users/:userId", apiLimiter, protect, authorize("Admin"), getUserReconciliation);
+
+export default router;
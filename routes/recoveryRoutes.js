@@ -1,36 +1,93 @@
 import express from "express";
 import {
   recoverChips,
+  approveRecoveryProposal,
+  rejectRecoveryProposal,
+  getRecoveryHistory,
+  getRecoveryById,
   getBannedUsersWithChips,
   getVerifiedUsers,
   verifyUser,
   banUser,
   unbanUser,
+  getUserBans,
 } from "../controllers/recoveryController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 import { apiLimiter } from "../middleware/rateLimiter.js";
 import { captureAuditInfo } from "../middleware/audit.js";
 import { idempotencyCheck } from "../middleware/idempotency.js";
+import {
+  chipRecoveryValidation,
+  recoveryDecisionValidation,
+  recoveryHistoryValidation,
+  recoveryIdValidation,
+  userBansValidation,
+} from "../middleware/validation.js";
 
 const router = express.Router();
 
-// All recovery routes require admin authentication
-router.use(protect);
-router.use(authorize("Admin"));
+// Every route here is admin only. The guards sit on each route rather than
+// on the router: it is mounted on /api, so a router-level guard would also
+// run for the routers mounted after it.
 
-// Chip recovery endpoint
+// Propose a chip recovery; chips are held in escrow until a second admin decides
 router.post(
   "/recovery/chips",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   idempotencyCheck,
   captureAuditInfo,
+  chipRecoveryValidation,
   recoverChips
 );
 
+// Recovery history with decisions and linked transactions
+router.get(
+  "/recovery/history",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  recoveryHistoryValidation,
+  getRecoveryHistory
+);
+
+router.get(
+  "/recovery/history/:recoveryId",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  recoveryIdValidation,
+  getRecoveryById
+);
+
+// Second-admin decision on a recovery proposal
+router.post(
+  "/recovery/:recoveryId/approve",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  captureAuditInfo,
+  recoveryDecisionValidation,
+  approveRecoveryProposal
+);
+
+router.post(
+  "/recovery/:recoveryId/reject",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  captureAuditInfo,
+  recoveryDecisionValidation,
+  rejectRecoveryProposal
+);
+
 // Get banned users with recoverable chips
 router.get(
   "/recovery/banned-users",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   getBannedUsersWithChips
 );
 
@@ -38,6 +95,8 @@ router.get(
 router.get(
   "/recovery/verified-users",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   getVerifiedUsers
 );
 
@@ -45,6 +104,8 @@ router.get(
 router.post(
   "/recovery/verify",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   captureAuditInfo,
   verifyUser
 );
@@ -53,6 +114,8 @@ router.post(
 router.post(
   "/recovery/ban",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   captureAuditInfo,
   banUser
 );
@@ -61,9 +124,21 @@ router.post(
 router.post(
   "/recovery/unban",
   apiLimiter,
+  protect,
+  authorize("Admin"),
   captureAuditInfo,
   unbanUser
 );
 
+// Ban and unban history of a user
+router.get(
+  "/users/:id/bans",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  userBansValidation,
+  getUserBans
+);
+
 export default router;
 
@@ -0,0 +1,13 @@
+import express from "express";
+import { getStatement, downloadStatement } from "../controllers/statementController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { apiLimiter } from "../middleware/rateLimiter.js";
+import { statementValidation } from "../middleware/validation.js";
+
+const router = express.Router();
+
+router.get("/statements", apiLimiter, protect, statementValidation, getStatement);
+
+router.get("/statements/download", apiLimiter, protect, statementValidation, downloadStatement);
+
+export default router;
@@ -1,8 +1,8 @@
 import express from "express";
-import { getTransactions, exportTransactions } from "../controllers/transactionController.js";
+import { getTransactions, exportTransactions, getTransactionById } from "../controllers/transactionController.js";
 import { protect } from "../middleware/authMiddleware.js";
 import { apiLimiter } from "../middleware/rateLimiter.js";
-import { transactionQueryValidation } from "../middleware/validation.js";
+import { transactionQueryValidation, transactionIdValidation } from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -10,4 +10,6 @@ router.get("/transactions", apiLimiter, protect, transactionQueryValidation, get
 
 router.get("/transactions/export", apiLimiter, protect, transactionQueryValidation, exportTransactions);
 
+router.get("/transactions/:id", apiLimiter, protect, transactionIdValidation, getTransactionById);
+
 export default router;
@@ -1,10 +1,38 @@
 import express from "express";
 import multer from "multer";
-import { transfer, reverseTransaction, approveRequest, rejectRequest } from "../controllers/transferController.js";
-import { bulkTransfer } from "../controllers/bulkTransferController.js";
+import {
+  transfer,
+  reverseTransaction,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+} from "../controllers/transferController.js";
+import {
+  bulkTransfer,
+  previewBulkTransfer,
+  getBulkTransferStatus,
+  resumeBulkTransfer,
+  cancelBulkTransfer,
+  approveBulkTransfer,
+  rejectBulkTransfer,
+  reverseBulkTransfer,
+  downloadBulkTransferReport,
+} from "../controllers/bulkTransferController.js";
+import {
+  getRequestQueue,
+  bulkApproveRequests,
+  bulkRejectRequests,
+} from "../controllers/requestQueueController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
 import { transferLimiter, apiLimiter } from "../middleware/rateLimiter.js";
-import { transferValidation, reverseValidation } from "../middleware/validation.js";
+import {
+  transferValidation,
+  reverseValidation,
+  requestQueueValidation,
+  bulkRequestDecisionValidation,
+  transactionActionValidation,
+  bulkBatchDecisionValidation,
+} from "../middleware/validation.js";
 import { idempotencyCheck } from "../middleware/idempotency.js";
 import { captureAuditInfo } from "../middleware/audit.js";
 import { checkBanStatus } from "../middleware/banCheck.js";
@@ -13,6 +41,15 @@ import { detectSuspiciousTransfer } from "../middleware/suspiciousActivity.js";
 const router = express.Router();
 const upload = multer({ dest: "uploads/" });
 
+// Bulk files may be sent as "file" or, as before, "csv"
+const uploadBulkFile = [
+  upload.fields([{ name: "file", maxCount: 1 }, { name: "csv", maxCount: 1 }]),
+  (req, res, next) => {
+    req.file = req.files?.file?.[0] || req.files?.csv?.[0];
+    next();
+  },
+];
+
 router.post(
   "/transfer",
   apiLimiter,
@@ -44,6 +81,43 @@ router.post(
   rejectRequest
 );
 
+router.get(
+  "/transfer/requests",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  requestQueueValidation,
+  getRequestQueue
+);
+
+router.post(
+  "/transfer/requests/approve",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  captureAuditInfo,
+  bulkRequestDecisionValidation,
+  bulkApproveRequests
+);
+
+router.post(
+  "/transfer/requests/reject",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  captureAuditInfo,
+  bulkRequestDecisionValidation,
+  bulkRejectRequests
+);
+
+router.post(
+  "/transfer/requests/:transactionId/cancel",
+  apiLimiter,
+  protect,
+  transactionActionValidation,
+  cancelRequest
+);
+
 router.post(
   "/transfer/reverse",
   apiLimiter,
@@ -59,9 +133,77 @@ router.post(
   apiLimiter,
   protect,
   authorize("Admin"),
-  upload.single("csv"),
+  uploadBulkFile,
   captureAuditInfo,
   bulkTransfer
 );
 
+router.post(
+  "/transfer/bulk/preview",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  uploadBulkFile,
+  previewBulkTransfer
+);
+
+router.get(
+  "/transfer/bulk/:batchId",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  getBulkTransferStatus
+);
+
+router.post(
+  "/transfer/bulk/:batchId/resume",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  resumeBulkTransfer
+);
+
+// Second-admin decision on a batch held for dual approval
+router.post(
+  "/transfer/bulk/:batchId/approve",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  bulkBatchDecisionValidation,
+  approveBulkTransfer
+);
+
+router.post(
+  "/transfer/bulk/:batchId/reject",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  bulkBatchDecisionValidation,
+  rejectBulkTransfer
+);
+
+router.post(
+  "/transfer/bulk/:batchId/cancel",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  cancelBulkTransfer
+);
+
+router.post(
+  "/transfer/bulk/:batchId/reverse",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  reverseBulkTransfer
+);
+
+router.get(
+  "/transfer/bulk/:batchId/report",
+  apiLimiter,
+  protect,
+  authorize("Admin"),
+  downloadBulkTransferReport
+);
+
 export default router;
@@ -0,0 +1,118 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { SETTLED_STATUSES } from "../utils/reconciliation.js";
+import { subtractChips, formatChips, toDecimal128 } from "../utils/chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal, getAccountBalances } from "../utils/ledger.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Journal every settled transaction that predates the ledger, so the ledger
+ * carries the same history the transactions do.
+ */
+const journalUnpostedTransactions = async () => {
+  let posted = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const journaled = new Set(
+      (await LedgerEntry.distinct("transactionId", { transactionId: { $in: batch.map((tx) => tx._id) } }))
+        .map((id) => id.toString())
+    );
+    const unposted = batch.filter((tx) => !journaled.has(tx._id.toString()));
+    if (unposted.length > 0 && !dryRun) {
+      await postTransactionJournal(unposted);
+    }
+    posted += unposted.length;
+    batch = [];
+  };
+
+  const cursor = Transaction.find({ status: { $in: SETTLED_STATUSES } }).sort({ _id: 1 }).lean().cursor();
+  for await (const tx of cursor) {
+    batch.push(tx);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return posted;
+};
+
+/**
+ * Post an opening balance for every user whose stored balance the ledger
+ * still does not explain: issued by the mint when the user holds more, sent
+ * to the burn account when less. Each opening is an ordinary transaction, so
+ * reconciliation's history balance agrees as well.
+ */
+const postOpeningBalances = async () => {
+  const ledger = await getAccountBalances({ userId: { $ne: null } });
+  let opened = 0;
+
+  const cursor = User.find().select("_id email balance").lean().cursor();
+  for await (const user of cursor) {
+    const account = userAccount(user._id);
+    const difference = subtractChips(user.balance, ledger[account] || "0");
+    if (difference === 0n) continue;
+
+    opened++;
+    console.log(`   ${user.email}: opening ${formatChips(difference)}`);
+    if (dryRun) continue;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const credit = difference > 0n;
+        const [opening] = await Transaction.create(
+          [
+            {
+              fromUserId: credit ? null : user._id,
+              toUserId: credit ? user._id : null,
+              fromAccount: credit ? SYSTEM_ACCOUNTS.MINT : account,
+              toAccount: credit ? account : SYSTEM_ACCOUNTS.BURN,
+              amount: toDecimal128(credit ? difference : -difference),
+              status: "approved",
+              type: "manual",
+              reason: "Opening balance (ledger backfill)",
+            },
+          ],
+          { session }
+        );
+        await postTransactionJournal(opening, { session });
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return opened;
+};
+
+const backfillLedger = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Connected to MongoDB${dryRun ? " (dry run, nothing is written)" : ""}`);
+
+    const posted = await journalUnpostedTransactions();
+    console.log(`✅ Journaled ${posted} transactions without ledger lines`);
+    if (dryRun && posted > 0) {
+      console.log("   (opening balances below do not yet count those transactions)");
+    }
+
+    const opened = await postOpeningBalances();
+    console.log(`✅ Posted ${opened} opening balances`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("Ledger backfill error:", error);
+    process.exit(1);
+  }
+};
+
+backfillLedger();
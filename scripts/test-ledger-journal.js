@@ -0,0 +1,130 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import {
+  SYSTEM_ACCOUNTS,
+  userAccount,
+  buildTransactionLines,
+  buildJournal,
+  postTransactionJournal,
+} from "../utils/ledger.js";
+import { formatChips, toMinorUnits, toDecimal128 } from "../utils/chipAmount.js";
+
+// Journals built from in-memory transactions; LedgerEntry.insertMany is
+// stubbed, so no database is needed
+
+let inserted;
+
+LedgerEntry.insertMany = async (docs, options) => {
+  inserted.push({ docs, options });
+  return docs;
+};
+
+beforeEach(() => {
+  inserted = [];
+});
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const tx = (fields) => new Transaction({ amount: toDecimal128("125.5"), status: "approved", type: "request", ...fields });
+
+// Net movement per account (credits minus debits) as chip strings
+const netByAccount = (docs) => {
+  const net = new Map();
+  for (const doc of docs) {
+    const amount = toMinorUnits(doc.amount);
+    net.set(doc.account, (net.get(doc.account) || 0n) + (doc.direction === "credit" ? amount : -amount));
+  }
+  return Object.fromEntries([...net].map(([account, amount]) => [account, formatChips(amount)]));
+};
+
+const assertBalanced = (docs) => {
+  const total = Object.values(netByAccount(docs)).reduce((sum, amount) => sum + toMinorUnits(amount), 0n);
+  assert.equal(total, 0n);
+};
+
+test("a transfer debits the sender and credits the receiver", () => {
+  const transfer = tx({ fromUserId: alice, toUserId: bob });
+  const docs = buildJournal(transfer, buildTransactionLines(transfer));
+
+  assert.equal(docs.length, 2);
+  assertBalanced(docs);
+  assert.deepEqual(netByAccount(docs), { [userAccount(alice)]: "-125.5", [userAccount(bob)]: "125.5" });
+  assert.ok(docs.every((doc) => doc.transactionId.equals(transfer._id) && doc.type === "request"));
+  assert.ok(docs.find((doc) => doc.account === userAccount(bob)).userId.equals(bob));
+});
+
+test("a transaction without a sender is issued by the mint, one without a receiver is burned", () => {
+  const mint = tx({ toUserId: bob, type: "daily-mint" });
+  const burn = tx({ fromUserId: alice, type: "manual" });
+
+  const mintDocs = buildJournal(mint, buildTransactionLines(mint));
+  const burnDocs = buildJournal(burn, buildTransactionLines(burn));
+
+  assertBalanced(mintDocs);
+  assertBalanced(burnDocs);
+  assert.equal(netByAccount(mintDocs)[SYSTEM_ACCOUNTS.MINT], "-125.5");
+  assert.equal(netByAccount(burnDocs)[SYSTEM_ACCOUNTS.BURN], "125.5");
+  assert.equal(mintDocs.find((doc) => doc.account === SYSTEM_ACCOUNTS.MINT).userId, null);
+});
+
+test("a direct chip recovery passes through the escrow and leaves it at zero", () => {
+  const recovery = tx({ fromUserId: alice, toUserId: bob, type: "chip-recovery" });
+  const docs = buildJournal(recovery, buildTransactionLines(recovery));
+
+  assert.equal(docs.length, 4);
+  assertBalanced(docs);
+  assert.deepEqual(netByAccount(docs), {
+    [userAccount(alice)]: "-125.5",
+    [SYSTEM_ACCOUNTS.RECOVERY_ESCROW]: "0",
+    [userAccount(bob)]: "125.5",
+  });
+});
+
+test("a recovery hold already names the escrow and is not routed twice", () => {
+  const hold = tx({ fromUserId: alice, toAccount: SYSTEM_ACCOUNTS.RECOVERY_ESCROW, type: "chip-recovery" });
+  const docs = buildJournal(hold, buildTransactionLines(hold));
+
+  assert.equal(docs.length, 2);
+  assert.equal(netByAccount(docs)[SYSTEM_ACCOUNTS.RECOVERY_ESCROW], "125.5");
+});
+
+test("unbalanced or non-positive lines are refused", () => {
+  const transfer = tx({ fromUserId: alice, toUserId: bob });
+
+  assert.throws(
+    () => buildJournal(transfer, [
+      { account: userAccount(alice), direction: "debit", amount: "10" },
+      { account: userAccount(bob), direction: "credit", amount: "9.99" },
+    ]),
+    /Unbalanced journal .*debits 10 != credits 9\.99/
+  );
+  assert.throws(
+    () => buildJournal(transfer, [
+      { account: userAccount(alice), direction: "debit", amount: "0" },
+      { account: userAccount(bob), direction: "credit", amount: "0" },
+    ]),
+    { message: "Ledger line amount must be positive" }
+  );
+});
+
+test("posting several transactions writes one balanced journal each in the caller's session", async () => {
+  const session = { id: "session" };
+  const transactions = [
+    tx({ fromUserId: alice, toUserId: bob }),
+    tx({ toUserId: alice, amount: toDecimal128("0.01"), type: "daily-mint" }),
+    tx({ fromUserId: bob, toUserId: alice, type: "chip-recovery" }),
+  ];
+
+  await postTransactionJournal(transactions, { session });
+
+  assert.equal(inserted.length, 1);
+  assert.equal(inserted[0].options.session, session);
+  assert.equal(inserted[0].docs.length, 8);
+  for (const transaction of transactions) {
+    assertBalanced(inserted[0].docs.filter((doc) => doc.transactionId.equals(transaction._id)));
+  }
+});
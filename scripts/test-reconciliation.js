@@ -1,7 +1,7 @@
 import dotenv from "dotenv";
 import mongoose from "mongoose";
-import User from "../models/User.js";
-import redis from "../config/redis.js";
+import ReconciliationDiscrepancy from "../models/ReconciliationDiscrepancy.js";
+import { runReconciliation } from "../utils/reconciliation.js";
 
 dotenv.config();
 
@@ -10,45 +10,33 @@ const testReconciliation = async () => {
     await mongoose.connect(process.env.MONGO_URI);
     console.log("Connected to MongoDB");
 
-    const users = await User.find();
-    console.log(`Checking ${users.length} users...`);
-
-    let mismatches = 0;
-    let matches = 0;
-    let notCached = 0;
-
-    for (const user of users) {
-      const dbBalance = user.balance ? user.balance.toString() : "0";
-      const cached = await redis.get(`balance:${user._id}`);
-
-      if (cached) {
-        const cachedData = JSON.parse(cached);
-        if (cachedData.balance !== dbBalance) {
-          console.log(
-            `❌ Mismatch for user ${user.email} (${user._id}): DB=${dbBalance}, Cache=${cachedData.balance}`
-          );
-          mismatches++;
-        } else {
-          matches++;
-        }
-      } else {
-        notCached++;
-      }
+    // Give the lazy Redis connection a moment so cached balances are compared too
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    const report = await runReconciliation({ trigger: "manual" });
+    const discrepancies = await ReconciliationDiscrepancy.find({ reportId: report._id }).lean();
+
+    for (const d of discrepancies) {
+      console.log(
+        `❌ ${d.email} (${d.userId}): DB=${d.storedBalance}, History=${d.historyBalance}, Ledger=${d.ledgerBalance}, Cache=${d.cachedBalance ?? "-"} [${d.issues.join(", ")}]`
+      );
     }
 
     console.log("\n=== Reconciliation Results ===");
-    console.log(`Total users: ${users.length}`);
-    console.log(`✅ Matches: ${matches}`);
-    console.log(`❌ Mismatches: ${mismatches}`);
-    console.log(`ℹ️  Not cached: ${notCached}`);
-
-    if (mismatches === 0) {
-      console.log("\n✅ Reconciliation passed - All cached balances match database");
+    console.log(`Report: ${report._id}`);
+    console.log(`Total users: ${report.usersChecked}`);
+    console.log(`✅ Reconciled: ${report.usersChecked - report.discrepancyCount}`);
+    console.log(`❌ Discrepancies: ${report.discrepancyCount}`);
+    console.log(`ℹ️  Cache mismatches: ${report.cacheMismatchCount}`);
+    console.log(`Totals: DB=${report.totals.stored}, History=${report.totals.history}, Ledger=${report.totals.ledger}`);
+
+    if (report.discrepancyCount === 0) {
+      console.log("\n✅ Reconciliation passed - stored balances match transaction history, ledger and cache");
     } else {
-      console.log(`\n⚠️  Reconciliation failed - ${mismatches} mismatches found`);
+      console.log(`\n⚠️  Reconciliation failed - ${report.discrepancyCount} discrepancies found`);
     }
 
-    process.exit(mismatches > 0 ? 1 : 0);
+    process.exit(report.discrepancyCount > 0 ? 1 : 0);
   } catch (error) {
     console.error("Reconciliation test error:", error);
     process.exit(1);
@@ -56,4 +44,3 @@ const testReconciliation = async () => {
 };
 
 testReconciliation();
-
@@ -0,0 +1,115 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import ChipRecovery from "../models/ChipRecovery.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { approveRecovery } from "../utils/chipRecovery.js";
+import { SYSTEM_ACCOUNTS, userAccount } from "../utils/ledger.js";
+import { formatChips, toDecimal128 } from "../utils/chipAmount.js";
+
+// approveRecovery against in-memory documents: model reads and writes are
+// stubbed, so no database is needed
+
+const users = new Map();
+let recovery;
+let savedTransactions;
+let ledgerLines;
+
+const byId = (docs) => (id) => ({ session: async () => docs.get(id.toString()) || null });
+
+User.findById = byId(users);
+ChipRecovery.findById = (id) => ({ session: async () => (recovery._id.equals(id) ? recovery : null) });
+User.prototype.save = async function save() { return this; };
+ChipRecovery.prototype.save = async function save() { return this; };
+Transaction.prototype.save = async function save() {
+  savedTransactions.push(this);
+  return this;
+};
+Transaction.insertMany = async (docs) => {
+  savedTransactions.push(...docs);
+  return docs;
+};
+LedgerEntry.insertMany = async (docs) => {
+  ledgerLines.push(...docs);
+  return docs;
+};
+
+const addUser = (fields) => {
+  const user = new User({ password: "Password@123", role: "Player", ...fields });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+let banned;
+let receiver;
+const proposer = new mongoose.Types.ObjectId();
+const checker = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  users.clear();
+  savedTransactions = [];
+  ledgerLines = [];
+
+  // The proposal already moved the 500 recovered chips into escrow
+  banned = addUser({ name: "Banned", email: "banned@example.com", balance: toDecimal128(0n), isBanned: true });
+  receiver = addUser({ name: "Verified", email: "verified@example.com", balance: toDecimal128(0n), isVerified: true });
+
+  recovery = new ChipRecovery({
+    bannedUserId: banned._id,
+    status: "pending",
+    totalAmount: toDecimal128("500"),
+    balanceAtRequest: toDecimal128("500"),
+    allocations: [
+      { userId: receiver._id, account: userAccount(receiver._id), amount: toDecimal128("500"), percentage: "100" },
+    ],
+    adminId: proposer,
+  });
+});
+
+test("pays the shares out of escrow while the account is still banned", async () => {
+  const result = await approveRecovery(recovery._id, { checkerId: checker }, null);
+
+  assert.equal(result.recovery.status, "completed");
+  assert.equal(result.recovery.decision.outcome, "approved");
+  assert.equal(formatChips(receiver.balance), "500");
+  assert.equal(formatChips(banned.balance), "0");
+  assert.deepEqual(result.userIds, [receiver._id.toString()]);
+  assert.equal(result.transactions[0].fromAccount, SYSTEM_ACCOUNTS.RECOVERY_ESCROW);
+  assert.equal(result.transactions[0].toAccount, userAccount(receiver._id));
+});
+
+test("releases the escrow instead when the ban was lifted before approval", async () => {
+  // e.g. a timed ban ran out and the expiry sweep unbanned the user
+  banned.isBanned = false;
+
+  const result = await approveRecovery(recovery._id, { checkerId: checker }, null);
+
+  assert.equal(result.recovery.status, "rejected");
+  assert.equal(result.recovery.decision.outcome, "rejected");
+  assert.equal(result.recovery.completedAt, null);
+  assert.equal(formatChips(banned.balance), "500");
+  assert.equal(formatChips(receiver.balance), "0");
+  assert.deepEqual(result.userIds, [banned._id.toString()]);
+
+  const [release] = result.transactions;
+  assert.equal(result.transactions.length, 1);
+  assert.equal(release.fromAccount, SYSTEM_ACCOUNTS.RECOVERY_ESCROW);
+  assert.equal(release.toAccount, userAccount(banned._id));
+  assert.ok(result.recovery.releaseTransactionId.equals(release._id));
+  assert.ok(recovery.allocations.every((allocation) => !allocation.transactionId));
+
+  // Nothing reaches the receiver's ledger account
+  assert.ok(ledgerLines.every((line) => line.account !== userAccount(receiver._id)));
+});
+
+test("a lifted ban cannot be approved twice", async () => {
+  banned.isBanned = false;
+  await approveRecovery(recovery._id, { checkerId: checker }, null);
+
+  await assert.rejects(
+    approveRecovery(recovery._id, { checkerId: checker }, null),
+    { message: "Recovery is not pending" }
+  );
+});
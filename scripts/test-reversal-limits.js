@@ -0,0 +1,153 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { applyReversal, unreversedAmount, ReversalError } from "../utils/reversal.js";
+import { SYSTEM_ACCOUNTS, userAccount } from "../utils/ledger.js";
+import { formatChips, toDecimal128 } from "../utils/chipAmount.js";
+
+// applyReversal against in-memory documents: model reads and writes are
+// stubbed, so no database is needed
+
+const users = new Map();
+let ledgerLines;
+
+User.findById = (id) => ({ session: async () => users.get(id.toString()) || null });
+User.prototype.save = async function save() { return this; };
+Transaction.prototype.save = async function save() { return this; };
+Transaction.create = async (docs) => docs.map((doc) => new Transaction(doc));
+LedgerEntry.insertMany = async (docs) => {
+  ledgerLines.push(...docs);
+  return docs;
+};
+
+const addUser = (name, balance) => {
+  const user = new User({ name, email: `${name.toLowerCase()}@example.com`, password: "Password@123", balance: toDecimal128(balance) });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const context = { reason: "Sent by mistake", adminId: new mongoose.Types.ObjectId() };
+
+let sender;
+let receiver;
+let original;
+
+beforeEach(() => {
+  users.clear();
+  ledgerLines = [];
+
+  // 100 chips already moved from sender to receiver
+  sender = addUser("Sender", "400");
+  receiver = addUser("Receiver", "100");
+  original = new Transaction({
+    fromUserId: sender._id,
+    toUserId: receiver._id,
+    amount: toDecimal128("100"),
+    type: "manual",
+    status: "approved",
+  });
+});
+
+const rejectsWith = (promise, message) => assert.rejects(promise, (err) => {
+  assert.ok(err instanceof ReversalError);
+  assert.equal(err.message, message);
+  return true;
+});
+
+test("reverses everything by default", async () => {
+  const reversal = await applyReversal(original, context, null);
+
+  assert.equal(original.status, "reversed");
+  assert.equal(formatChips(original.reversedAmount), "100");
+  assert.equal(formatChips(reversal.amount), "100");
+  assert.equal(reversal.type, "reversal");
+  assert.ok(reversal.reversedTransactionId.equals(original._id));
+  assert.equal(formatChips(receiver.balance), "0");
+  assert.equal(formatChips(sender.balance), "500");
+
+  await rejectsWith(applyReversal(original, context, null), "Transaction already reversed");
+});
+
+test("partial reversals add up until the transaction is fully unwound", async () => {
+  await applyReversal(original, { ...context, amount: "40" }, null);
+
+  assert.equal(original.status, "partially_reversed");
+  assert.equal(formatChips(unreversedAmount(original)), "60");
+  assert.equal(formatChips(receiver.balance), "60");
+
+  await rejectsWith(
+    applyReversal(original, { ...context, amount: "60.01" }, null),
+    "Reversal amount exceeds the unreversed amount of 60"
+  );
+
+  await applyReversal(original, { ...context, amount: "60" }, null);
+  assert.equal(original.status, "reversed");
+  assert.equal(formatChips(original.reversedAmount), "100");
+  assert.equal(formatChips(sender.balance), "500");
+});
+
+test("refuses a reversal the recipient cannot cover unless capped", async () => {
+  // The receiver spent 75 of the 100 chips
+  receiver.balance = toDecimal128("25");
+
+  await rejectsWith(applyReversal(original, context, null), "Insufficient balance for reversal");
+  assert.equal(original.status, "approved");
+  assert.equal(formatChips(sender.balance), "400");
+
+  const reversal = await applyReversal(original, { ...context, upToAvailable: true }, null);
+  assert.equal(formatChips(reversal.amount), "25");
+  assert.equal(original.status, "partially_reversed");
+  assert.equal(formatChips(unreversedAmount(original)), "75");
+  assert.equal(formatChips(receiver.balance), "0");
+  assert.equal(formatChips(sender.balance), "425");
+
+  await rejectsWith(
+    applyReversal(original, { ...context, upToAvailable: true }, null),
+    "Recipient has no balance to reverse"
+  );
+});
+
+test("a capped reversal never takes more than was asked for", async () => {
+  const reversal = await applyReversal(original, { ...context, amount: "30", upToAvailable: true }, null);
+
+  assert.equal(formatChips(reversal.amount), "30");
+  assert.equal(formatChips(receiver.balance), "70");
+});
+
+test("reversing a mint debits the recipient back to the mint account", async () => {
+  const mint = new Transaction({
+    toUserId: receiver._id,
+    amount: toDecimal128("100"),
+    type: "daily-mint",
+    status: "approved",
+  });
+
+  const reversal = await applyReversal(mint, context, null);
+
+  assert.equal(reversal.fromAccount, userAccount(receiver._id));
+  assert.equal(reversal.toAccount, SYSTEM_ACCOUNTS.MINT);
+  assert.equal(formatChips(receiver.balance), "0");
+  assert.deepEqual(
+    ledgerLines.map((line) => [line.account, line.direction]),
+    [[userAccount(receiver._id), "debit"], [SYSTEM_ACCOUNTS.MINT, "credit"]]
+  );
+});
+
+test("refuses transactions that cannot be reversed", async () => {
+  await rejectsWith(
+    applyReversal(new Transaction({ ...original.toObject(), _id: undefined, type: "reversal" }), context, null),
+    "Cannot reverse a reversal transaction"
+  );
+  await rejectsWith(
+    applyReversal(new Transaction({ ...original.toObject(), _id: undefined, recoveryId: new mongoose.Types.ObjectId() }), context, null),
+    "Chip recovery transactions cannot be reversed; reject the recovery instead"
+  );
+  await rejectsWith(
+    applyReversal(new Transaction({ ...original.toObject(), _id: undefined, status: "pending" }), context, null),
+    "Can only reverse approved transactions"
+  );
+  await rejectsWith(applyReversal(original, { ...context, amount: "0" }, null), "Reversal amount must be positive");
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import recoveryRoutes from "../routes/recoveryRoutes.js";
+import ledgerRoutes from "../routes/ledgerRoutes.js";
+import exportRoutes from "../routes/exportRoutes.js";
+import statementRoutes from "../routes/statementRoutes.js";
+
+// Every router shares the /api mount, so a guard one router applies with
+// router.use() also runs for the routers mounted after it. The app below
+// mounts them in server.js order; only User.findById is stubbed, so each
+// request stops at the first step that would need the database.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "route-guard-test";
+
+const player = new User({ name: "Player", email: "player@example.com", password: "Password@123", role: "Player" });
+const admin = new User({ name: "Admin", email: "admin@example.com", password: "Password@123", role: "Admin" });
+const users = new Map([player, admin].map((user) => [user._id.toString(), user]));
+
+User.findById = (id) => ({ select: async () => users.get(id.toString()) || null });
+
+const tokenFor = (user) => `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", recoveryRoutes);
+  app.use("/api", ledgerRoutes);
+  app.use("/api", exportRoutes);
+  app.use("/api", statementRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+const get = async (path, user) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    headers: user ? { Authorization: tokenFor(user) } : {},
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("recovery routes still require an admin", async () => {
+  assert.equal((await get("/recovery/banned-users")).status, 401);
+  assert.equal((await get("/recovery/banned-users", player)).status, 403);
+});
+
+test("a player reaches their own ledger past the recovery router", async () => {
+  // An invalid id is answered by the controller, before any query runs
+  const { status, body } = await get("/ledger/users/not-an-id", player);
+  assert.equal(status, 400);
+  assert.equal(body.message, "Invalid userId");
+});
+
+test("a signed export link is checked by its token, not a session", async () => {
+  const { status, body } = await get("/exports/507f1f77bcf86cd799439011/download?token=forged");
+  assert.equal(status, 403);
+  assert.equal(body.message, "Download link is invalid or has expired");
+});
+
+test("a player reaches their own statements", async () => {
+  // A malformed date is rejected by validation, before any query runs
+  for (const path of ["/statements?from=not-a-date", "/statements/download?from=not-a-date"]) {
+    const { status, body } = await get(path, player);
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].path, "from");
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  encodeTransactionCursor,
+  decodeTransactionCursor,
+  afterTransactionCursor,
+  TransactionFilterError,
+} from "../utils/transactionFilter.js";
+
+// Keyset pagination over in-memory transactions: the cursor filter is
+// evaluated by a small matcher for the operators it uses, so no database is
+// needed
+
+const compare = (a, b) => (a instanceof Date ? a.getTime() - b.getTime() : a.toString().localeCompare(b.toString()));
+
+const matches = (doc, clause) => Object.entries(clause).every(([field, condition]) => {
+  if (field === "$or") return condition.some((branch) => matches(doc, branch));
+  if (condition && condition.$lt !== undefined) return compare(doc[field], condition.$lt) < 0;
+  return compare(doc[field], condition) === 0;
+});
+
+// Newest first, ties on createdAt broken by _id, as getTransactions sorts
+const newestFirst = (a, b) => compare(b.createdAt, a.createdAt) || compare(b._id, a._id);
+
+const page = (docs, cursor, limit) => {
+  const filtered = cursor ? docs.filter((doc) => matches(doc, afterTransactionCursor(cursor))) : docs;
+  const items = filtered.sort(newestFirst).slice(0, limit);
+  return { items, nextCursor: items.length === limit ? encodeTransactionCursor(items[items.length - 1]) : null };
+};
+
+test("pages through every transaction once, including ties on createdAt", () => {
+  // Bulk and mint batches write many transactions in the same millisecond
+  const shared = new Date("2026-01-01T12:00:00.000Z");
+  const docs = Array.from({ length: 23 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: i % 3 === 0 ? new Date(shared.getTime() - i * 1000) : shared,
+  }));
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const result = page([...docs], cursor, 5);
+    seen.push(...result.items);
+    cursor = result.nextCursor;
+  } while (cursor);
+
+  assert.equal(seen.length, docs.length);
+  assert.equal(new Set(seen.map((doc) => doc._id.toString())).size, docs.length);
+  assert.deepEqual(seen, [...docs].sort(newestFirst));
+});
+
+test("a cursor round-trips its position", () => {
+  const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date("2026-03-04T05:06:07.089Z") };
+  const { createdAt, _id } = decodeTransactionCursor(encodeTransactionCursor(doc));
+
+  assert.equal(createdAt.toISOString(), doc.createdAt.toISOString());
+  assert.ok(_id.equals(doc._id));
+});
+
+test("a malformed cursor is a 400, not a server error", () => {
+  const forged = Buffer.from(JSON.stringify({ c: "yesterday", i: "nope" })).toString("base64url");
+
+  for (const cursor of ["not-base64-json", forged]) {
+    assert.throws(() => afterTransactionCursor(cursor), (err) => {
+      assert.ok(err instanceof TransactionFilterError);
+      assert.equal(err.status, 400);
+      assert.equal(err.message, "Invalid cursor");
+      return true;
+    });
+  }
+});
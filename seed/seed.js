@@ -2,6 +2,8 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
+import { addChips, subtractChips, toDecimal128 } from "../utils/chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal } from "../utils/ledger.js";
 
 dotenv.config();
 
@@ -62,9 +64,32 @@ const seedDatabase = async () => {
 
     console.log(`✅ Created Player 2: ${player2.email} (${player2._id})`);
 
+    // Opening balances are issued by the mint so the ledger starts balanced
+    for (const [index, user] of [admin, player1, player2].entries()) {
+      const opening = await Transaction.create({
+        fromUserId: null,
+        toUserId: user._id,
+        fromAccount: SYSTEM_ACCOUNTS.MINT,
+        toAccount: userAccount(user._id),
+        amount: user.balance,
+        status: "approved",
+        type: "manual",
+        idempotencyKey: `seed-opening-${index + 1}`,
+        reason: "Opening balance",
+        adminId: admin._id,
+        adminIp: "127.0.0.1",
+        adminUserAgent: "seed-script",
+      });
+      await postTransactionJournal(opening);
+    }
+
+    console.log("✅ Posted opening balances to the ledger");
+
     const transaction1 = await Transaction.create({
       fromUserId: admin._id,
       toUserId: player1._id,
+      fromAccount: userAccount(admin._id),
+      toAccount: userAccount(player1._id),
       amount: mongoose.Types.Decimal128.fromString("2000000000"),
       status: "approved",
       type: "manual",
@@ -76,11 +101,17 @@ const seedDatabase = async () => {
       adminUserAgent: "seed-script",
     });
 
+    await postTransactionJournal(transaction1);
+    admin.balance = toDecimal128(subtractChips(admin.balance, transaction1.amount));
+    player1.balance = toDecimal128(addChips(player1.balance, transaction1.amount));
+
     console.log(`✅ Created Transaction 1: ${transaction1._id}`);
 
     const transaction2 = await Transaction.create({
       fromUserId: player1._id,
       toUserId: player2._id,
+      fromAccount: userAccount(player1._id),
+      toAccount: userAccount(player2._id),
       amount: mongoose.Types.Decimal128.fromString("1000000000"),
       status: "approved",
       type: "manual",
@@ -92,6 +123,14 @@ const seedDatabase = async () => {
       adminUserAgent: "seed-script",
     });
 
+    await postTransactionJournal(transaction2);
+    player1.balance = toDecimal128(subtractChips(player1.balance, transaction2.amount));
+    player2.balance = toDecimal128(addChips(player2.balance, transaction2.amount));
+
+    await admin.save();
+    await player1.save();
+    await player2.save();
+
     console.log(`✅ Created Transaction 2: ${transaction2._id}`);
 
     const finalUserCount = await User.countDocuments();
@@ -23,6 +23,7 @@ import cors from "cors";
 import mongoose from "mongoose";
 import http from "http";
 import { Server } from "socket.io";
+import { setSocketServer } from "./config/socket.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -46,7 +47,13 @@ import balanceRoutes from "./routes/balanceRoutes.js";
 import transferRoutes from "./routes/transferRoutes.js";
 import transactionRoutes from "./routes/transactionRoutes.js";
 import dailyMintRoutes from "./routes/dailyMintRoute.js";
+import dailyBonusRoutes from "./routes/dailyBonusRoutes.js";
 import recoveryRoutes from "./routes/recoveryRoutes.js";
+import ledgerRoutes from "./routes/ledgerRoutes.js";
+import reconciliationRoutes from "./routes/reconciliationRoutes.js";
+import exportRoutes from "./routes/exportRoutes.js";
+import statementRoutes from "./routes/statementRoutes.js";
+import approvalRoutes from "./routes/approvalRoutes.js";
 
 dotenv.config();
 
@@ -56,10 +63,9 @@ const __dirname = path.dirname(__filename);
 // Only create directories if not in serverless environment
 if (process.env.VERCEL !== "1") {
   const uploadsDir = path.join(__dirname, "uploads");
-  const exportsDir = path.join(__dirname, "exports");
   const logsDir = path.join(__dirname, "logs");
 
-  [uploadsDir, exportsDir, logsDir].forEach((dir) => {
+  [uploadsDir, logsDir].forEach((dir) => {
     try {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
@@ -221,8 +227,9 @@ if (process.env.VERCEL !== "1") {
     cors: { origin: "*" }
   });
 
-  // Make socket.io available inside routes
+  // Make socket.io available inside routes and background workers
   app.set("io", io);
+  setSocketServer(io);
 
   io.on("connection", (socket) => {
     logger.info(`Socket connected: ${socket.id}`);
@@ -245,7 +252,13 @@ app.use("/api", balanceRoutes);
 app.use("/api", transferRoutes);
 app.use("/api", transactionRoutes);
 app.use("/api", dailyMintRoutes);
+app.use("/api", dailyBonusRoutes);
 app.use("/api", recoveryRoutes);
+app.use("/api", ledgerRoutes);
+app.use("/api", reconciliationRoutes);
+app.use("/api", exportRoutes);
+app.use("/api", statementRoutes);
+app.use("/api", approvalRoutes);
 
 // Root route for health check
 app.get("/", (req, res) => {
@@ -330,6 +343,46 @@ if (process.env.VERCEL !== "1") {
         .catch((err) => {
           logger.warn("⚠️  Bulk transfer worker module load failed:", err.message);
         });
+
+      import("./workers/reconciliationWorker.js")
+        .then(() => {
+          logger.info("✅ Reconciliation worker module loaded");
+        })
+        .catch((err) => {
+          logger.warn("⚠️  Reconciliation worker module load failed:", err.message);
+        });
+
+      import("./workers/exportWorker.js")
+        .then(() => {
+          logger.info("✅ Export worker module loaded");
+        })
+        .catch((err) => {
+          logger.warn("⚠️  Export worker module load failed:", err.message);
+        });
+
+      import("./workers/requestExpiryWorker.js")
+        .then(() => {
+          logger.info("✅ Request expiry worker module loaded");
+        })
+        .catch((err) => {
+          logger.warn("⚠️  Request expiry worker module load failed:", err.message);
+        });
+
+      import("./workers/dailyMintWorker.js")
+        .then(() => {
+          logger.info("✅ Daily mint worker module loaded");
+        })
+        .catch((err) => {
+          logger.warn("⚠️  Daily mint worker module load failed:", err.message);
+        });
+
+      import("./workers/banExpiryWorker.js")
+        .then(() => {
+          logger.info("✅ Ban expiry worker module loaded");
+        })
+        .catch((err) => {
+          logger.warn("⚠️  Ban expiry worker module load failed:", err.message);
+        });
     });
   } else {
     // Fallback if server wasn't created (shouldn't happen, but safety check)
@@ -0,0 +1,150 @@
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import { addChips, subtractChips, compareChips, toDecimal128, parseChipAmount } from "./chipAmount.js";
+import { postTransactionJournal } from "./ledger.js";
+import { HttpError } from "./httpError.js";
+import logger from "./logger.js";
+
+// Types an admin initiates directly, which are subject to dual approval.
+// Chip recoveries always go through a proposal (see chipRecovery.js);
+// recoveries left pending from before that are still decided here.
+export const ADMIN_ACTION_TYPES = ["manual", "chip-recovery"];
+
+/**
+ * Manual transfers and mints above this amount are created pending and only
+ * move chips once a second admin approves them. Unset or 0 disables dual
+ * approval; so does a malformed value, with a warning, rather than failing
+ * every module that imports this one.
+ */
+const parseThreshold = (value) => {
+  if (!value || value === "0") return null;
+  try {
+    return parseChipAmount(value);
+  } catch (err) {
+    logger.warn(`Invalid DUAL_APPROVAL_THRESHOLD "${value}" (${err.message}); dual approval disabled`);
+    return null;
+  }
+};
+
+export const DUAL_APPROVAL_THRESHOLD = parseThreshold(process.env.DUAL_APPROVAL_THRESHOLD);
+
+export const requiresSecondApproval = (amount) =>
+  DUAL_APPROVAL_THRESHOLD !== null && compareChips(amount, DUAL_APPROVAL_THRESHOLD) > 0;
+
+/** An admin action that cannot be carried out. */
+export class AdminActionError extends HttpError {}
+
+/**
+ * Load the parties of a manual transfer, mint or recovery and check it can
+ * be settled now. Nothing is written.
+ */
+export const checkAdminAction = async (tx, session) => {
+  const receiver = await User.findById(tx.toUserId).session(session);
+  if (!receiver) {
+    throw new AdminActionError("Receiver not found", 404);
+  }
+
+  if (!tx.fromUserId) {
+    if (tx.type === "chip-recovery") {
+      throw new AdminActionError("Chip recovery requires a source account");
+    }
+    return { sender: null, receiver };
+  }
+
+  const sender = await User.findById(tx.fromUserId).session(session);
+  if (!sender) {
+    throw new AdminActionError("Sender not found", 404);
+  }
+
+  if (tx.fromUserId.toString() === tx.toUserId.toString()) {
+    throw new AdminActionError("Cannot transfer to the same user");
+  }
+
+  if (tx.type === "chip-recovery") {
+    if (!sender.isBanned) {
+      throw new AdminActionError("Source user is not banned. Chip recovery only works for banned accounts.");
+    }
+    if (!receiver.isVerified) {
+      throw new AdminActionError("Target user must be verified to receive recovered chips");
+    }
+  }
+
+  if (compareChips(sender.balance, tx.amount) < 0) {
+    throw new AdminActionError("Insufficient balance");
+  }
+
+  return { sender, receiver };
+};
+
+/**
+ * Move the chips for an admin action inside the caller's session, mark the
+ * transaction approved and post its journal. Works on a new transaction or
+ * a pending one being approved.
+ */
+export const settleAdminAction = async (tx, session) => {
+  const { sender, receiver } = await checkAdminAction(tx, session);
+
+  if (sender) {
+    sender.balance = toDecimal128(subtractChips(sender.balance, tx.amount));
+    await sender.save({ session });
+  }
+  receiver.balance = toDecimal128(addChips(receiver.balance, tx.amount));
+  await receiver.save({ session });
+
+  tx.status = "approved";
+  await tx.save({ session });
+  await postTransactionJournal(tx, { session });
+
+  return { sender, receiver };
+};
+
+const loadPendingAction = async (transactionId, checkerId, session) => {
+  const tx = await Transaction.findById(transactionId).session(session);
+  if (!tx) {
+    throw new AdminActionError("Transaction not found", 404);
+  }
+
+  if (!ADMIN_ACTION_TYPES.includes(tx.type)) {
+    throw new AdminActionError("Only manual transfers and chip recoveries need a second approval");
+  }
+
+  if (tx.status !== "pending") {
+    throw new AdminActionError("Transaction is not awaiting approval");
+  }
+
+  if (tx.adminId && tx.adminId.toString() === checkerId.toString()) {
+    throw new AdminActionError("You cannot approve or reject your own action", 403);
+  }
+
+  return tx;
+};
+
+/**
+ * Second-admin approval: settle a pending action initiated by another admin.
+ */
+export const approveAdminAction = async (transactionId, { checkerId }, session) => {
+  const tx = await loadPendingAction(transactionId, checkerId, session);
+
+  tx.verifiedBy = checkerId;
+  tx.verifiedAt = new Date();
+  tx.resolvedAt = tx.verifiedAt;
+  const parties = await settleAdminAction(tx, session);
+
+  return { tx, ...parties };
+};
+
+/**
+ * Second-admin rejection: the pending action fails and no chips move.
+ */
+export const rejectAdminAction = async (transactionId, { checkerId, reason }, session) => {
+  const tx = await loadPendingAction(transactionId, checkerId, session);
+
+  tx.status = "failed";
+  tx.verifiedBy = checkerId;
+  tx.verifiedAt = new Date();
+  tx.resolvedAt = tx.verifiedAt;
+  tx.resolutionReason = reason || null;
+  await tx.save({ session });
+
+  return { tx };
+};
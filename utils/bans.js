@@ -0,0 +1,134 @@
+import User from "../models/User.js";
+import BanHistory from "../models/BanHistory.js";
+import { HttpError } from "./httpError.js";
+
+// Longest timed ban; longer suspensions should be permanent bans
+export const MAX_BAN_HOURS = 365 * 24;
+
+/** A ban or unban that cannot be applied. */
+export class BanError extends HttpError {}
+
+const parseDurationHours = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_BAN_HOURS) {
+    throw new BanError(`durationHours must be a number greater than 0 and at most ${MAX_BAN_HOURS}`);
+  }
+  return hours;
+};
+
+/**
+ * Ban a user inside the caller's session and record it in the ban history.
+ * With `durationHours` the ban is timed and lifted by the ban expiry job
+ * once `banExpiresAt` passes; without it the ban is permanent.
+ */
+export const banUserAccount = async (
+  userId,
+  { reason, durationHours, adminId, adminIp, adminUserAgent },
+  session,
+  now = new Date()
+) => {
+  if (!reason || reason.trim().length === 0) {
+    throw new BanError("Ban reason is required");
+  }
+  const hours = parseDurationHours(durationHours);
+
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new BanError("User not found", 404);
+  }
+  if (user.role === "Admin") {
+    throw new BanError("Cannot ban admin users", 403);
+  }
+  if (user.isBanned) {
+    throw new BanError("User is already banned");
+  }
+
+  user.isBanned = true;
+  user.banReason = reason.trim();
+  user.bannedAt = now;
+  user.bannedBy = adminId;
+  user.banExpiresAt = hours ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null;
+  await user.save({ session });
+
+  const [entry] = await BanHistory.create(
+    [
+      {
+        userId: user._id,
+        action: "ban",
+        reason: user.banReason,
+        expiresAt: user.banExpiresAt,
+        adminId,
+        adminIp,
+        adminUserAgent,
+      },
+    ],
+    { session }
+  );
+
+  return { user, entry };
+};
+
+const clearBan = async (user, { reason, adminId, adminIp, adminUserAgent, automatic = false }, session) => {
+  user.isBanned = false;
+  user.banReason = null;
+  user.bannedAt = null;
+  user.bannedBy = null;
+  user.banExpiresAt = null;
+  await user.save({ session });
+
+  const [entry] = await BanHistory.create(
+    [
+      {
+        userId: user._id,
+        action: "unban",
+        reason: reason?.trim() || null,
+        automatic,
+        adminId: adminId || null,
+        adminIp: adminIp || null,
+        adminUserAgent: adminUserAgent || null,
+      },
+    ],
+    { session }
+  );
+
+  return { user, entry };
+};
+
+/**
+ * Lift a user's ban by hand inside the caller's session and record it in
+ * the ban history. The user's current ban fields are cleared; the ban
+ * itself stays in the history.
+ */
+export const unbanUserAccount = async (userId, context, session) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new BanError("User not found", 404);
+  }
+  if (!user.isBanned) {
+    throw new BanError("User is not banned");
+  }
+
+  return clearBan(user, context, session);
+};
+
+/**
+ * Query for banned users whose timed ban has run out.
+ */
+export const expiredBansFilter = (now = new Date()) => ({
+  isBanned: true,
+  banExpiresAt: { $ne: null, $lte: now },
+});
+
+/**
+ * Lift one expired ban inside the caller's session. The expiry is re-checked,
+ * so a ban an admin lifted in the meantime is left alone.
+ * Returns the user, or null when there was nothing to lift.
+ */
+export const liftExpiredBan = async (userId, session, now = new Date()) => {
+  const user = await User.findOne({ _id: userId, ...expiredBansFilter(now) }).session(session);
+  if (!user) return null;
+
+  const { user: unbanned } = await clearBan(user, { reason: "Ban expired", automatic: true }, session);
+  return unbanned;
+};
@@ -0,0 +1,74 @@
+import { bulkTransferQueue, addUniqueJob } from "../config/queue.js";
+import BulkTransferBatch from "../models/BulkTransferBatch.js";
+import BulkTransferRow from "../models/BulkTransferRow.js";
+
+/**
+ * Bulk transfer batches are split into chunks of BULK_CHUNK_SIZE rows. Each
+ * chunk is its own BullMQ job and chunks run one after another, each one
+ * enqueueing the next, so rows still apply in file order.
+ */
+export const BULK_CHUNK_SIZE = parseInt(process.env.BULK_CHUNK_SIZE || "1000", 10);
+
+// Atomic batches run in a single MongoDB transaction, which must stay bounded
+export const BULK_ATOMIC_MAX_ROWS = parseInt(process.env.BULK_ATOMIC_MAX_ROWS || "5000", 10);
+
+export const chunkJobId = (batchId, chunkIndex) => `${batchId}-chunk-${chunkIndex}`;
+
+export const enqueueChunk = (batchId, chunkIndex) =>
+  addUniqueJob(bulkTransferQueue, "process-bulk-chunk", { batchId, chunkIndex }, { jobId: chunkJobId(batchId, chunkIndex) });
+
+/**
+ * Recompute a batch's counters from its rows, which are the checkpoint of
+ * record, so retries and resumes never double count.
+ */
+export const refreshBatchCounts = async (batchId, extra = {}) => {
+  const counts = await BulkTransferRow.aggregate([
+    { $match: { batchId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+  const successCount = byStatus.succeeded || 0;
+  const failedCount = (byStatus.failed || 0) + (byStatus.skipped || 0);
+  const cancelledCount = byStatus.cancelled || 0;
+
+  await BulkTransferBatch.updateOne(
+    { batchId },
+    {
+      $set: {
+        successCount,
+        failedCount,
+        cancelledCount,
+        processedRows: successCount + failedCount,
+        ...extra,
+      },
+    }
+  );
+
+  return { successCount, failedCount, cancelledCount };
+};
+
+/**
+ * Queue a batch-level rollback. Runs on the bulk transfer queue so it is
+ * ordered behind any chunk still finishing.
+ */
+export const enqueueBatchReversal = (batchId) =>
+  addUniqueJob(bulkTransferQueue, "reverse-bulk-batch", { batchId }, { jobId: `${batchId}-reversal` });
+
+/**
+ * Remove chunk jobs that have not started yet. An active chunk notices the
+ * cancellation itself.
+ */
+export const removeQueuedChunks = async (batch) => {
+  const removed = [];
+  for (let i = Math.max(batch.lastCompletedChunk, 0); i < batch.totalChunks; i++) {
+    const job = await bulkTransferQueue.getJob(chunkJobId(batch.batchId, i));
+    if (!job) continue;
+    const state = await job.getState();
+    if (["waiting", "delayed", "prioritized"].includes(state)) {
+      await job.remove();
+      removed.push(i);
+    }
+  }
+  return removed;
+};
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import ExcelJS from "exceljs";
+import User from "../models/User.js";
+import { readCsvRecords } from "./csvHandler.js";
+import { parseChipAmount, formatChips } from "./chipAmount.js";
+
+export const BULK_INPUT_FORMATS = ["csv", "json", "xlsx"];
+
+const MIME_FORMATS = {
+  "text/csv": "csv",
+  "application/json": "json",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+/**
+ * Format of an uploaded file, from its extension first and its MIME type
+ * second. Returns null when neither is recognised.
+ */
+export const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || "").slice(1).toLowerCase();
+  if (BULK_INPUT_FORMATS.includes(extension)) return extension;
+  return MIME_FORMATS[file.mimetype] || null;
+};
+
+/**
+ * Records from a JSON array. `{ transfers: [...] }` is accepted too; row
+ * numbers are 1-based array positions.
+ */
+const jsonRecords = (data) => {
+  const items = Array.isArray(data) ? data : data?.transfers;
+  if (!Array.isArray(items)) {
+    throw new Error("JSON input must be an array of transfers or { transfers: [...] }");
+  }
+  return items.map((record, i) => ({ row: i + 1, record: record ?? {} }));
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+  }
+  return String(value);
+};
+
+/**
+ * Records from the first worksheet of a workbook; row 1 is the header and
+ * row numbers match the sheet.
+ */
+const readXlsxRecords = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const header = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    header[col] = cellText(cell.value).trim();
+  });
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    sheetRow.eachCell((cell, col) => {
+      if (header[col]) record[header[col]] = cellText(cell.value).trim();
+    });
+    records.push({ row: rowNumber, record });
+  });
+  return records;
+};
+
+const readRecords = async (filePath, format) => {
+  if (format === "csv") return readCsvRecords(filePath);
+  if (format === "xlsx") return readXlsxRecords(filePath);
+  return jsonRecords(JSON.parse(await fs.promises.readFile(filePath, "utf8")));
+};
+
+const identifierField = (record, side) => {
+  const value = record[`${side}UserId`] ?? record[`${side}Email`] ?? record[side];
+  return value === null || value === undefined ? "" : String(value).trim();
+};
+
+/**
+ * Classify a user identifier as an ObjectId or an email address.
+ */
+const parseIdentifier = (value, field) => {
+  if (OBJECT_ID_PATTERN.test(value)) {
+    return { id: value };
+  }
+  if (EMAIL_PATTERN.test(value)) {
+    return { email: value.toLowerCase() };
+  }
+  throw new Error(`Invalid ${field} format: expected a user ID or email`);
+};
+
+/**
+ * Validate and normalise raw records, then resolve email identifiers to
+ * user IDs in one query. Rows whose identifiers cannot be resolved are
+ * reported with the same `{ row, error }` shape as validation errors.
+ */
+export const normalizeTransferRecords = async (records) => {
+  const parsed = [];
+  const errors = [];
+
+  for (const { row, record } of records) {
+    try {
+      const from = identifierField(record, "from");
+      const to = identifierField(record, "to");
+
+      if (!to) {
+        errors.push({ row, error: "toUserId is required" });
+        continue;
+      }
+
+      const amount = parseChipAmount(record.amount);
+
+      parsed.push({
+        row,
+        from: from ? parseIdentifier(from, "fromUserId") : null,
+        to: parseIdentifier(to, "toUserId"),
+        amount: formatChips(amount),
+        reason: record.reason ? String(record.reason) : "",
+      });
+    } catch (err) {
+      errors.push({ row, error: err.message });
+    }
+  }
+
+  const emails = [
+    ...new Set(parsed.flatMap((t) => [t.from?.email, t.to.email]).filter(Boolean)),
+  ];
+  const users = emails.length > 0
+    ? await User.find({ email: { $in: emails } }).select("email").lean()
+    : [];
+  const idsByEmail = new Map(users.map((u) => [u.email, u._id.toString()]));
+
+  const resolve = (identifier, label) => {
+    if (identifier.id) return identifier.id;
+    const id = idsByEmail.get(identifier.email);
+    if (!id) throw new Error(`${label} not found: ${identifier.email}`);
+    return id;
+  };
+
+  const transfers = [];
+  for (const t of parsed) {
+    try {
+      transfers.push({
+        row: t.row,
+        fromUserId: t.from ? resolve(t.from, "Sender") : null,
+        toUserId: resolve(t.to, "Receiver"),
+        amount: t.amount,
+        reason: t.reason,
+      });
+    } catch (err) {
+      errors.push({ row: t.row, error: err.message });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { transfers, errors };
+};
+
+/**
+ * Parse a bulk transfer upload (CSV, JSON or XLSX file) or a JSON body.
+ * Returns `{ format, transfers, errors }`; an unsupported format throws.
+ */
+export const parseBulkTransferInput = async (req) => {
+  if (!req.file) {
+    const body = req.body;
+    if (Array.isArray(body) || Array.isArray(body?.transfers)) {
+      return { format: "json", ...(await normalizeTransferRecords(jsonRecords(body))) };
+    }
+    return null;
+  }
+
+  const format = detectFormat(req.file);
+  if (!format) {
+    const error = new Error(`Unsupported file format; use one of: ${BULK_INPUT_FORMATS.join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+
+  let records;
+  try {
+    records = await readRecords(req.file.path, format);
+  } catch (err) {
+    const error = new Error(`Could not read ${format.toUpperCase()} file: ${err.message}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { format, ...(await normalizeTransferRecords(records)) };
+};
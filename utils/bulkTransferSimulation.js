@@ -0,0 +1,118 @@
+import User from "../models/User.js";
+import { addChips, subtractChips, compareChips, formatChips, toMinorUnits } from "./chipAmount.js";
+
+const duplicateKey = (t) => [t.fromUserId || "", t.toUserId, formatChips(t.amount), t.reason || ""].join("|");
+
+/**
+ * Simulate a parsed bulk transfer file against current balances without
+ * writing anything. Rows are applied in file order with the same rules as
+ * the bulk transfer worker, so a sender's earlier rows reduce the balance
+ * available to its later rows.
+ */
+export const simulateBulkTransfers = async (transfers) => {
+  const ids = [
+    ...new Set(
+      transfers.flatMap((t) => [t.fromUserId, t.toUserId]).filter(Boolean).map((id) => id.toString())
+    ),
+  ];
+
+  const users = await User.find({ _id: { $in: ids } })
+    .select("name email balance isBanned role")
+    .lean();
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+  const balances = new Map(users.map((u) => [u._id.toString(), toMinorUnits(u.balance)]));
+  const seen = new Map();
+  const rows = [];
+
+  let succeeded = 0;
+  let failed = 0;
+  let warningCount = 0;
+  let transferred = 0n;
+  let minted = 0n;
+
+  for (const transfer of transfers) {
+    const fromUserId = transfer.fromUserId ? transfer.fromUserId.toString() : null;
+    const toUserId = transfer.toUserId.toString();
+    const amount = toMinorUnits(transfer.amount);
+    const sender = fromUserId ? usersById.get(fromUserId) : null;
+    const receiver = usersById.get(toUserId);
+    const warnings = [];
+    let error = null;
+
+    const key = duplicateKey(transfer);
+    if (seen.has(key)) {
+      warnings.push(`Duplicate of row ${seen.get(key)}`);
+    } else {
+      seen.set(key, transfer.row);
+    }
+
+    if (sender?.isBanned) warnings.push("Sender is banned");
+    if (receiver?.isBanned) warnings.push("Receiver is banned");
+
+    if (!receiver) {
+      error = "Receiver not found";
+    } else if (fromUserId && !sender) {
+      error = "Sender not found";
+    } else if (fromUserId && fromUserId === toUserId) {
+      error = "Cannot transfer to the same user";
+    } else if (fromUserId && compareChips(balances.get(fromUserId), amount) < 0) {
+      error = "Insufficient balance";
+    }
+
+    if (error) {
+      failed++;
+    } else {
+      succeeded++;
+      if (fromUserId) {
+        balances.set(fromUserId, subtractChips(balances.get(fromUserId), amount));
+        transferred = addChips(transferred, amount);
+      } else {
+        minted = addChips(minted, amount);
+      }
+      balances.set(toUserId, addChips(balances.get(toUserId), amount));
+    }
+
+    warningCount += warnings.length > 0 ? 1 : 0;
+    rows.push({
+      row: transfer.row,
+      fromUserId,
+      toUserId,
+      amount: formatChips(amount),
+      reason: transfer.reason || "",
+      status: error ? "failed" : "succeeded",
+      error,
+      warnings,
+    });
+  }
+
+  const balanceDeltas = users
+    .map((u) => {
+      const id = u._id.toString();
+      const delta = subtractChips(balances.get(id), u.balance);
+      return {
+        userId: id,
+        email: u.email,
+        name: u.name,
+        isBanned: u.isBanned,
+        currentBalance: formatChips(u.balance),
+        delta: formatChips(delta),
+        projectedBalance: formatChips(balances.get(id)),
+      };
+    })
+    .filter((d) => d.delta !== "0");
+
+  return {
+    summary: {
+      totalRows: transfers.length,
+      succeeded,
+      failed,
+      rowsWithWarnings: warningCount,
+      transferredAmount: formatChips(transferred),
+      mintedAmount: formatChips(minted),
+      missingUserIds: ids.filter((id) => !usersById.has(id)),
+    },
+    rows,
+    balanceDeltas,
+  };
+};
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+
+/**
+ * Exact chip arithmetic.
+ *
+ * Every chip value is handled internally as a BigInt count of minor units
+ * (1 chip = 10^CHIP_PRECISION minor units), so adding and subtracting never
+ * goes through floating point. Values read from Mongo (Decimal128), request
+ * bodies (string/number) or CSV rows are converted with toMinorUnits() and
+ * written back with toDecimal128().
+ */
+
+export const CHIP_PRECISION = parseInt(process.env.CHIP_PRECISION || "2", 10);
+export const MAX_CHIP_AMOUNT = "20000000000000";
+
+const SCALE = 10n ** BigInt(CHIP_PRECISION);
+// Significant digits a Decimal128 holds; anything longer cannot be stored
+const MAX_DIGITS = 34;
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// Convert to minor units. Extra fractional digits throw when `strict`, and
+// are otherwise rounded half away from zero.
+const decimalToMinorUnits = (value, strict) => {
+  if (value === null || value === undefined) return 0n;
+  if (typeof value === "bigint") return value;
+  // Decimal128 that went through JSON (e.g. a queued job payload)
+  if (typeof value === "object" && value.$numberDecimal !== undefined) {
+    value = value.$numberDecimal;
+  }
+
+  const str = String(value).trim();
+  const match = DECIMAL_PATTERN.exec(str);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid chip amount: ${str}`);
+  }
+
+  const [, sign, intPart = "", fracPart = "", exponent = "0"] = match;
+  let digits = (intPart + fracPart).replace(/^0+(?=\d)/, "") || "0";
+  let scale = fracPart.length - parseInt(exponent, 10);
+  if (digits === "0") return 0n;
+
+  // Drop trailing zeros that only add precision (e.g. "10.500" or "1.50E+1")
+  while (scale > CHIP_PRECISION && digits.length > 1 && digits.endsWith("0")) {
+    digits = digits.slice(0, -1);
+    scale--;
+  }
+  let roundUp = false;
+  if (scale > CHIP_PRECISION) {
+    if (strict) {
+      throw new Error(`Chip amounts support at most ${CHIP_PRECISION} decimal places`);
+    }
+    const kept = digits.length - (scale - CHIP_PRECISION);
+    roundUp = kept >= 0 && digits[kept] >= "5";
+    digits = kept > 0 ? digits.slice(0, kept) : "0";
+    scale = CHIP_PRECISION;
+  }
+
+  // Checked before scaling so an exponent such as "1e100000000" never
+  // expands into a huge BigInt
+  if (digits.length + CHIP_PRECISION - scale > MAX_DIGITS) {
+    throw new Error(`Chip amount is too large: ${str.length > 40 ? `${str.slice(0, 40)}…` : str}`);
+  }
+
+  const minor = BigInt(digits) * 10n ** BigInt(CHIP_PRECISION - scale) + (roundUp ? 1n : 0n);
+  return sign === "-" ? -minor : minor;
+};
+
+/**
+ * Convert a chip value (Decimal128, string, number, bigint minor units or
+ * null) to BigInt minor units. Throws if the value is not a plain decimal or
+ * has more digits than a Decimal128 can store.
+ *
+ * Stored values may carry more fractional digits than CHIP_PRECISION, e.g.
+ * balances written by floating point arithmetic ("0.30000000000000004");
+ * those are rounded to the nearest minor unit. Input from requests and files
+ * goes through parseChipAmount, which rejects them instead.
+ */
+export const toMinorUnits = (value) => decimalToMinorUnits(value, false);
+
+/**
+ * Render a chip value as a canonical decimal string ("1500", "12.5").
+ */
+export const formatChips = (value) => {
+  const minor = toMinorUnits(value);
+  const negative = minor < 0n;
+  const abs = negative ? -minor : minor;
+  const intPart = (abs / SCALE).toString();
+  const fracPart = CHIP_PRECISION > 0
+    ? (abs % SCALE).toString().padStart(CHIP_PRECISION, "0").replace(/0+$/, "")
+    : "";
+  return `${negative ? "-" : ""}${intPart}${fracPart ? `.${fracPart}` : ""}`;
+};
+
+export const toDecimal128 = (value) => {
+  return mongoose.Types.Decimal128.fromString(formatChips(value));
+};
+
+export const addChips = (a, b) => toMinorUnits(a) + toMinorUnits(b);
+
+export const subtractChips = (a, b) => toMinorUnits(a) - toMinorUnits(b);
+
+/**
+ * Returns -1, 0 or 1.
+ */
+export const compareChips = (a, b) => {
+  const diff = toMinorUnits(a) - toMinorUnits(b);
+  return diff === 0n ? 0 : diff < 0n ? -1 : 1;
+};
+
+/**
+ * Parse a user-supplied transfer amount. It must be positive, within the
+ * 20 trillion ceiling and respect CHIP_PRECISION. Returns minor units.
+ */
+export const parseChipAmount = (value) => {
+  if (value === null || value === undefined || value === "") {
+    throw new Error("Invalid amount");
+  }
+  const minor = decimalToMinorUnits(value, true);
+  if (minor <= 0n) {
+    throw new Error("Invalid amount");
+  }
+  if (minor > toMinorUnits(MAX_CHIP_AMOUNT)) {
+    throw new Error("Amount must be between 0 and 20 trillion");
+  }
+  return minor;
+};
+
+/**
+ * express-validator custom validator for amount fields.
+ */
+export const isValidChipAmount = (value) => {
+  parseChipAmount(value);
+  return true;
+};
@@ -0,0 +1,358 @@
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import ChipRecovery from "../models/ChipRecovery.js";
+import {
+  parseChipAmount,
+  addChips,
+  subtractChips,
+  formatChips,
+  toMinorUnits,
+  toDecimal128,
+} from "./chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal } from "./ledger.js";
+import { HttpError } from "./httpError.js";
+
+const PERCENTAGE_PATTERN = /^\d{1,3}(\.\d{1,2})?$/;
+
+/** A recovery that cannot be planned or settled. */
+export class RecoveryError extends HttpError {}
+
+// Percentage as basis points, e.g. "12.5" -> 1250n
+const parsePercentage = (value) => {
+  const str = String(value).trim();
+  if (!PERCENTAGE_PATTERN.test(str)) {
+    throw new RecoveryError(`Invalid percentage: ${str}`);
+  }
+  const [whole, fraction = ""] = str.split(".");
+  const basisPoints = BigInt(whole) * 100n + BigInt(fraction.padEnd(2, "0"));
+  if (basisPoints <= 0n || basisPoints > 10000n) {
+    throw new RecoveryError("Percentages must be greater than 0 and at most 100");
+  }
+  return basisPoints;
+};
+
+const parseShare = (share, userId) => {
+  const hasAmount = share.amount !== undefined && share.amount !== null;
+  const hasPercentage = share.percentage !== undefined && share.percentage !== null;
+  if (hasAmount === hasPercentage) {
+    throw new RecoveryError("Each share needs exactly one of amount or percentage");
+  }
+
+  if (hasAmount) {
+    try {
+      return { userId, amount: parseChipAmount(share.amount), basisPoints: null, percentage: null };
+    } catch (err) {
+      throw new RecoveryError(err.message);
+    }
+  }
+  return {
+    userId,
+    amount: null,
+    basisPoints: parsePercentage(share.percentage),
+    percentage: String(share.percentage).trim(),
+  };
+};
+
+/**
+ * Work out who gets what from a banned account, inside the caller's
+ * session. `amount` defaults to the whole balance. Shares go to verified
+ * accounts (`allocations`, or `verifiedUserId` for all of it) and optionally
+ * to the house forfeit account (`forfeit`), each by amount or percentage of
+ * the recovered amount. Percentage rounding is settled on the last
+ * percentage share, and the shares must add up to the recovered amount.
+ * Nothing is written.
+ */
+export const planRecovery = async (
+  { bannedUserId, amount, verifiedUserId, allocations, forfeit },
+  session
+) => {
+  const bannedUser = await User.findById(bannedUserId).session(session);
+  if (!bannedUser) {
+    throw new RecoveryError("User not found", 404);
+  }
+
+  if (!bannedUser.isBanned) {
+    throw new RecoveryError("Source user is not banned. Chip recovery only works for banned accounts.");
+  }
+
+  const balance = toMinorUnits(bannedUser.balance);
+  if (balance <= 0n) {
+    throw new RecoveryError("Banned user has no chips to recover");
+  }
+
+  let total = balance;
+  if (amount !== undefined && amount !== null) {
+    try {
+      total = parseChipAmount(amount);
+    } catch (err) {
+      throw new RecoveryError(err.message);
+    }
+    if (total > balance) {
+      throw new RecoveryError(`Recovery amount exceeds the banned user's balance of ${formatChips(balance)}`);
+    }
+  }
+
+  const targets = allocations?.length ? allocations : verifiedUserId ? [{ verifiedUserId, percentage: "100" }] : [];
+  const shares = targets.map((share) => parseShare(share, share.verifiedUserId?.toString()));
+  if (forfeit) {
+    shares.push(parseShare(forfeit, null));
+  }
+  if (shares.length === 0) {
+    throw new RecoveryError("At least one verified account or a forfeit share is required");
+  }
+
+  const userIds = shares.filter((s) => s.userId).map((s) => s.userId);
+  if (new Set(userIds).size !== userIds.length) {
+    throw new RecoveryError("Each verified account can only receive one share");
+  }
+  if (userIds.includes(bannedUserId.toString())) {
+    throw new RecoveryError("Cannot recover chips to the same account");
+  }
+
+  const users = await User.find({ _id: { $in: userIds } }).session(session);
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+  for (const userId of userIds) {
+    const user = usersById.get(userId);
+    if (!user) {
+      throw new RecoveryError(`User not found: ${userId}`, 404);
+    }
+    if (!user.isVerified || user.isBanned) {
+      throw new RecoveryError(`Target user ${user.email} must be verified to receive recovered chips`);
+    }
+  }
+
+  shares.forEach((share) => {
+    if (share.basisPoints !== null) share.amount = (total * share.basisPoints) / 10000n;
+  });
+
+  const lastPercentageShare = [...shares].reverse().find((s) => s.basisPoints !== null);
+  const allocated = shares.reduce((sum, s) => sum + s.amount, 0n);
+  if (lastPercentageShare && allocated < total && total - allocated < BigInt(shares.length)) {
+    // Rounding left a few minor units over
+    lastPercentageShare.amount += total - allocated;
+  }
+
+  const sum = shares.reduce((acc, s) => acc + s.amount, 0n);
+  if (sum !== total) {
+    throw new RecoveryError(`Shares add up to ${formatChips(sum)}, not the recovered amount of ${formatChips(total)}`);
+  }
+  if (shares.some((s) => s.amount <= 0n)) {
+    throw new RecoveryError("Every share must be a positive amount");
+  }
+
+  return {
+    bannedUser,
+    balance,
+    total,
+    allocations: shares.map((s) => ({
+      userId: s.userId,
+      account: s.userId ? userAccount(s.userId) : SYSTEM_ACCOUNTS.FORFEIT,
+      amount: s.amount,
+      percentage: s.percentage,
+    })),
+  };
+};
+
+/**
+ * Propose a planned recovery inside the caller's session. The recovered
+ * chips move straight from the banned account into the recovery escrow with
+ * a `chip-recovery` hold transaction, so they cannot be recovered twice
+ * while a second admin decides. Returns the recovery and its hold.
+ */
+export const proposeRecovery = async (plan, { reason, adminId, adminIp, adminUserAgent, idempotencyKey }, session) => {
+  const { bannedUser, total } = plan;
+
+  const recovery = new ChipRecovery({
+    bannedUserId: bannedUser._id,
+    status: "pending",
+    totalAmount: toDecimal128(total),
+    balanceAtRequest: toDecimal128(plan.balance),
+    allocations: plan.allocations.map((allocation) => ({
+      userId: allocation.userId,
+      account: allocation.account,
+      amount: toDecimal128(allocation.amount),
+      percentage: allocation.percentage,
+    })),
+    reason,
+    adminId,
+    adminIp,
+    adminUserAgent,
+  });
+
+  bannedUser.balance = toDecimal128(subtractChips(bannedUser.balance, total));
+  await bannedUser.save({ session });
+
+  const hold = new Transaction({
+    fromUserId: bannedUser._id,
+    toUserId: null,
+    fromAccount: userAccount(bannedUser._id),
+    toAccount: SYSTEM_ACCOUNTS.RECOVERY_ESCROW,
+    amount: toDecimal128(total),
+    type: "chip-recovery",
+    status: "approved",
+    idempotencyKey,
+    reason: `Chip recovery proposed: ${formatChips(total)} held in escrow`,
+    recoveryFromUserId: bannedUser._id,
+    recoveryReason: reason || `Recovered chips from banned account: ${bannedUser.email}`,
+    recoveryId: recovery._id,
+    adminId,
+    adminIp,
+    adminUserAgent,
+  });
+  await hold.save({ session });
+  await postTransactionJournal(hold, { session });
+
+  recovery.holdTransactionId = hold._id;
+  await recovery.save({ session });
+
+  return { recovery, hold };
+};
+
+const loadPendingRecovery = async (recoveryId, checkerId, session) => {
+  const recovery = await ChipRecovery.findById(recoveryId).session(session);
+  if (!recovery) {
+    throw new RecoveryError("Recovery not found", 404);
+  }
+  if (recovery.status !== "pending") {
+    throw new RecoveryError("Recovery is not pending");
+  }
+  if (recovery.adminId.toString() === checkerId.toString()) {
+    throw new RecoveryError("You cannot approve or reject your own recovery proposal", 403);
+  }
+
+  return recovery;
+};
+
+const recordDecision = (recovery, outcome, { checkerId, reason, adminIp, adminUserAgent }) => {
+  recovery.status = outcome === "approved" ? "completed" : "rejected";
+  recovery.decision = {
+    outcome,
+    decidedBy: checkerId,
+    decidedAt: new Date(),
+    reason: reason || null,
+    adminIp: adminIp || null,
+    adminUserAgent: adminUserAgent || null,
+  };
+  return recovery.decision.decidedAt;
+};
+
+// Move the held chips from escrow back to the banned account
+const releaseHold = async (recovery, bannedUser, context, decidedAt, session) => {
+  bannedUser.balance = toDecimal128(addChips(bannedUser.balance, recovery.totalAmount));
+  await bannedUser.save({ session });
+
+  const release = new Transaction({
+    fromUserId: null,
+    toUserId: bannedUser._id,
+    fromAccount: SYSTEM_ACCOUNTS.RECOVERY_ESCROW,
+    toAccount: userAccount(bannedUser._id),
+    amount: recovery.totalAmount,
+    type: "chip-recovery",
+    status: "approved",
+    reason: `Chip recovery rejected: escrow released${context.reason ? ` (${context.reason})` : ""}`,
+    recoveryFromUserId: bannedUser._id,
+    recoveryReason: recovery.reason,
+    recoveryId: recovery._id,
+    adminId: recovery.adminId,
+    verifiedBy: context.checkerId,
+    verifiedAt: decidedAt,
+    resolvedAt: decidedAt,
+  });
+  await release.save({ session });
+  await postTransactionJournal(release, { session });
+
+  recovery.releaseTransactionId = release._id;
+  await recovery.save({ session });
+
+  return { recovery, transactions: [release], userIds: [bannedUser._id.toString()] };
+};
+
+const loadBannedUser = async (recovery, session) => {
+  const bannedUser = await User.findById(recovery.bannedUserId).session(session);
+  if (!bannedUser) {
+    throw new RecoveryError("User not found", 404);
+  }
+  return bannedUser;
+};
+
+/**
+ * Second-admin approval inside the caller's session: pay every share out of
+ * escrow with its own `chip-recovery` transaction (the forfeit share goes to
+ * the house) and link them to the recovery. Recipients are re-checked first.
+ * If the source account is no longer banned (e.g. a timed ban ran out while
+ * the proposal waited) the recovery is rejected instead and the escrow is
+ * released back to it. Returns the recovery, its transactions and the user
+ * IDs whose balance changed.
+ */
+export const approveRecovery = async (recoveryId, context, session) => {
+  const recovery = await loadPendingRecovery(recoveryId, context.checkerId, session);
+
+  const bannedUser = await loadBannedUser(recovery, session);
+  if (!bannedUser.isBanned) {
+    const liftedContext = { ...context, reason: "Ban was lifted before the recovery was approved" };
+    const decidedAt = recordDecision(recovery, "rejected", liftedContext);
+    return releaseHold(recovery, bannedUser, liftedContext, decidedAt, session);
+  }
+
+  const decidedAt = recordDecision(recovery, "approved", context);
+
+  const userIds = [];
+  const transactions = [];
+
+  for (const allocation of recovery.allocations) {
+    if (allocation.userId) {
+      const receiver = await User.findById(allocation.userId).session(session);
+      if (!receiver) {
+        throw new RecoveryError("Receiver not found", 404);
+      }
+      if (!receiver.isVerified || receiver.isBanned) {
+        throw new RecoveryError(`Target user ${receiver.email} must be verified to receive recovered chips`);
+      }
+      receiver.balance = toDecimal128(addChips(receiver.balance, allocation.amount));
+      await receiver.save({ session });
+      userIds.push(receiver._id.toString());
+    }
+
+    const tx = new Transaction({
+      fromUserId: null,
+      toUserId: allocation.userId,
+      fromAccount: SYSTEM_ACCOUNTS.RECOVERY_ESCROW,
+      toAccount: allocation.account,
+      amount: allocation.amount,
+      type: "chip-recovery",
+      status: "approved",
+      reason: allocation.userId ? "Chip recovery from banned account" : "Chip recovery forfeited to the house",
+      recoveryFromUserId: recovery.bannedUserId,
+      recoveryReason: recovery.reason,
+      recoveryId: recovery._id,
+      adminId: recovery.adminId,
+      adminIp: recovery.adminIp,
+      adminUserAgent: recovery.adminUserAgent,
+      verifiedBy: context.checkerId,
+      verifiedAt: decidedAt,
+      resolvedAt: decidedAt,
+    });
+    allocation.transactionId = tx._id;
+    transactions.push(tx);
+  }
+
+  await Transaction.insertMany(transactions, { session });
+  await postTransactionJournal(transactions, { session });
+
+  recovery.completedAt = decidedAt;
+  await recovery.save({ session });
+
+  return { recovery, transactions, userIds };
+};
+
+/**
+ * Second-admin rejection inside the caller's session: release the held
+ * chips from escrow back to the banned account.
+ */
+export const rejectRecovery = async (recoveryId, context, session) => {
+  const recovery = await loadPendingRecovery(recoveryId, context.checkerId, session);
+  const decidedAt = recordDecision(recovery, "rejected", context);
+  const bannedUser = await loadBannedUser(recovery, session);
+
+  return releaseHold(recovery, bannedUser, context, decidedAt, session);
+};
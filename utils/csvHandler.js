@@ -1,53 +1,23 @@
 import csv from "csv-parser";
 import fs from "fs";
-import { createObjectCsvWriter } from "csv-writer";
-import mongoose from "mongoose";
+import { createObjectCsvStringifier } from "csv-writer";
+import { formatChips } from "./chipAmount.js";
 
-export const parseBulkTransferCSV = (filePath) => {
+/**
+ * Read a CSV file into records keyed by header. Row numbers match the
+ * spreadsheet: the header is line 1.
+ */
+export const readCsvRecords = (filePath) => {
   return new Promise((resolve, reject) => {
-    const results = [];
-    const errors = [];
+    const records = [];
 
     fs.createReadStream(filePath)
       .pipe(csv())
-      .on("data", (row, index) => {
-        try {
-          const fromUserId = row.fromUserId || null;
-          const toUserId = row.toUserId || null;
-          const amount = parseFloat(row.amount);
-
-          if (!toUserId) {
-            errors.push({ row: index + 2, error: "toUserId is required" });
-            return;
-          }
-
-          if (!amount || isNaN(amount) || amount <= 0) {
-            errors.push({ row: index + 2, error: "Invalid amount" });
-            return;
-          }
-
-          if (!mongoose.Types.ObjectId.isValid(toUserId)) {
-            errors.push({ row: index + 2, error: "Invalid toUserId format" });
-            return;
-          }
-
-          if (fromUserId && !mongoose.Types.ObjectId.isValid(fromUserId)) {
-            errors.push({ row: index + 2, error: "Invalid fromUserId format" });
-            return;
-          }
-
-          results.push({
-            fromUserId: fromUserId || null,
-            toUserId,
-            amount: mongoose.Types.Decimal128.fromString(String(amount)),
-            reason: row.reason || "",
-          });
-        } catch (err) {
-          errors.push({ row: index + 2, error: err.message });
-        }
+      .on("data", (record) => {
+        records.push({ row: records.length + 2, record });
       })
       .on("end", () => {
-        resolve({ transfers: results, errors });
+        resolve(records);
       })
       .on("error", (err) => {
         reject(err);
@@ -55,35 +25,85 @@ export const parseBulkTransferCSV = (filePath) => {
   });
 };
 
-export const exportTransactionsToCSV = async (transactions, filePath) => {
-  const csvWriter = createObjectCsvWriter({
-    path: filePath,
+const userColumns = (prefix, title) => [
+  { id: `${prefix}Id`, title: `${title} ID` },
+  { id: `${prefix}Name`, title: `${title} Name` },
+  { id: `${prefix}Email`, title: `${title} Email` },
+];
+
+// Columns of every transaction export format; populated users are flattened
+// into ID/name/email columns
+export const TRANSACTION_EXPORT_COLUMNS = [
+  { id: "id", title: "Transaction ID" },
+  ...userColumns("fromUser", "From User"),
+  ...userColumns("toUser", "To User"),
+  { id: "amount", title: "Amount" },
+  { id: "type", title: "Type" },
+  { id: "status", title: "Status" },
+  { id: "reason", title: "Reason" },
+  ...userColumns("admin", "Admin"),
+  { id: "batchId", title: "Batch ID" },
+  { id: "reversedTransactionId", title: "Reversed Transaction ID" },
+  { id: "createdAt", title: "Created At" },
+];
+
+export const createTransactionCsvStringifier = () => {
+  return createObjectCsvStringifier({ header: TRANSACTION_EXPORT_COLUMNS });
+};
+
+// A ref may be populated, a bare ObjectId, or null (system account)
+const flattenUser = (prefix, user) => ({
+  [`${prefix}Id`]: user ? (user._id || user).toString() : "",
+  [`${prefix}Name`]: user?.name || "",
+  [`${prefix}Email`]: user?.email || "",
+});
+
+export const formatTransactionCsvRow = (tx) => ({
+  id: tx._id.toString(),
+  ...flattenUser("fromUser", tx.fromUserId),
+  ...flattenUser("toUser", tx.toUserId),
+  amount: formatChips(tx.amount),
+  type: tx.type,
+  status: tx.status,
+  reason: tx.reason || "",
+  ...flattenUser("admin", tx.adminId),
+  batchId: tx.batchId || "",
+  reversedTransactionId: tx.reversedTransactionId ? tx.reversedTransactionId.toString() : "",
+  createdAt: tx.createdAt ? tx.createdAt.toISOString() : "",
+});
+
+/**
+ * Stringifier for the bulk transfer result report: every input row echoed
+ * with its outcome and resulting transaction ID.
+ */
+export const createBulkResultCsvStringifier = () => {
+  return createObjectCsvStringifier({
     header: [
-      { id: "id", title: "Transaction ID" },
-      { id: "fromUserId", title: "From User ID" },
-      { id: "toUserId", title: "To User ID" },
-      { id: "amount", title: "Amount" },
-      { id: "type", title: "Type" },
-      { id: "status", title: "Status" },
-      { id: "reason", title: "Reason" },
-      { id: "adminId", title: "Admin ID" },
-      { id: "createdAt", title: "Created At" },
+      { id: "rowNumber", title: "row" },
+      { id: "fromUserId", title: "fromUserId" },
+      { id: "toUserId", title: "toUserId" },
+      { id: "amount", title: "amount" },
+      { id: "reason", title: "reason" },
+      { id: "status", title: "status" },
+      { id: "error", title: "error" },
+      { id: "transactionId", title: "transactionId" },
+      { id: "reversalStatus", title: "reversalStatus" },
+      { id: "reversalError", title: "reversalError" },
+      { id: "reversalTransactionId", title: "reversalTransactionId" },
     ],
   });
-
-  const records = transactions.map((tx) => ({
-    id: tx._id.toString(),
-    fromUserId: tx.fromUserId ? tx.fromUserId.toString() : "",
-    toUserId: tx.toUserId ? tx.toUserId.toString() : "",
-    amount: tx.amount ? tx.amount.toString() : "0",
-    type: tx.type,
-    status: tx.status,
-    reason: tx.reason || "",
-    adminId: tx.adminId ? tx.adminId.toString() : "",
-    createdAt: tx.createdAt ? tx.createdAt.toISOString() : "",
-  }));
-
-  await csvWriter.writeRecords(records);
-  return filePath;
 };
 
+export const formatBulkResultRow = (row) => ({
+  rowNumber: row.rowNumber,
+  fromUserId: row.fromUserId ? row.fromUserId.toString() : "",
+  toUserId: row.toUserId ? row.toUserId.toString() : "",
+  amount: row.amount,
+  reason: row.reason || "",
+  status: row.status,
+  error: row.error || "",
+  transactionId: row.transactionId ? row.transactionId.toString() : "",
+  reversalStatus: row.reversalStatus || "",
+  reversalError: row.reversalError || "",
+  reversalTransactionId: row.reversalTransactionId ? row.reversalTransactionId.toString() : "",
+});
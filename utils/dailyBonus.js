@@ -0,0 +1,112 @@
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import { parseChipAmount, formatChips, toDecimal128, addChips } from "./chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal } from "./ledger.js";
+import { HttpError } from "./httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reward per consecutive claim day; the last entry repeats for longer streaks
+export const DAILY_BONUS_REWARDS = (process.env.DAILY_BONUS_REWARDS || "100,200,300,400,500,750,1000")
+  .split(",")
+  .map((amount) => parseChipAmount(amount.trim()));
+
+/** A claim that cannot be made. */
+export class DailyBonusError extends HttpError {}
+
+// UTC calendar day as "YYYY-MM-DD"
+export const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const previousUtcDay = (date) => utcDay(new Date(date.getTime() - DAY_MS));
+
+const startOfNextUtcDay = (date) => {
+  const next = new Date(date.getTime() + DAY_MS);
+  return new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate()));
+};
+
+export const rewardForStreak = (streak) =>
+  DAILY_BONUS_REWARDS[Math.min(Math.max(streak, 1), DAILY_BONUS_REWARDS.length) - 1];
+
+/**
+ * Streak a claim made at `now` would continue: it carries on from a claim
+ * made yesterday and restarts after a missed day.
+ */
+const nextStreak = (dailyBonus, now) =>
+  dailyBonus?.lastClaimDay === previousUtcDay(now) ? (dailyBonus.streak || 0) + 1 : 1;
+
+/**
+ * Claim state for a user's stored `dailyBonus`, as shown on the balance
+ * response.
+ */
+export const dailyBonusStatus = (dailyBonus, now = new Date()) => {
+  const claimedToday = dailyBonus?.lastClaimDay === utcDay(now);
+  const streakAlive = claimedToday || dailyBonus?.lastClaimDay === previousUtcDay(now);
+  const upcomingStreak = claimedToday ? (dailyBonus.streak || 0) + 1 : nextStreak(dailyBonus, now);
+
+  return {
+    streak: streakAlive ? dailyBonus.streak || 0 : 0,
+    claimedToday,
+    lastClaimedAt: dailyBonus?.lastClaimedAt || null,
+    nextClaimAt: claimedToday ? startOfNextUtcDay(now) : now,
+    nextReward: formatChips(rewardForStreak(upcomingStreak)),
+  };
+};
+
+/**
+ * Credit today's bonus to a player inside the caller's session and record it
+ * as a `daily-mint` transaction. The user update is conditional on the stored
+ * claim day, so concurrent claims cannot both succeed.
+ */
+export const claimDailyBonus = async (userId, session, now = new Date()) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new DailyBonusError("User not found", 404);
+  }
+
+  if (user.isBanned) {
+    throw new DailyBonusError("Banned accounts cannot claim the daily bonus", 403);
+  }
+
+  const today = utcDay(now);
+  if (user.dailyBonus?.lastClaimDay === today) {
+    throw new DailyBonusError("Daily bonus already claimed today", 409);
+  }
+
+  const streak = nextStreak(user.dailyBonus, now);
+  const reward = rewardForStreak(streak);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, "dailyBonus.lastClaimDay": { $ne: today } },
+    {
+      $set: {
+        balance: toDecimal128(addChips(user.balance, reward)),
+        "dailyBonus.lastClaimDay": today,
+        "dailyBonus.lastClaimedAt": now,
+        "dailyBonus.streak": streak,
+      },
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new DailyBonusError("Daily bonus already claimed today", 409);
+  }
+
+  const [bonusTx] = await Transaction.create(
+    [
+      {
+        fromUserId: null,
+        toUserId: user._id,
+        fromAccount: SYSTEM_ACCOUNTS.MINT,
+        toAccount: userAccount(user._id),
+        amount: toDecimal128(reward),
+        type: "daily-mint",
+        status: "approved",
+        reason: `Daily bonus (day ${streak} streak)`,
+      },
+    ],
+    { session }
+  );
+  await postTransactionJournal(bonusTx, { session });
+
+  return { user: updated, transaction: bonusTx, streak, reward };
+};
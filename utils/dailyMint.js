@@ -0,0 +1,603 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import DailyMintRun from "../models/DailyMintRun.js";
+import { parseChipAmount, addChips, subtractChips, formatChips, toDecimal128 } from "./chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal, getAccountBalances } from "./ledger.js";
+import { utcDay } from "./dailyBonus.js";
+import { applyReversal, ReversalError } from "./reversal.js";
+import { dailyMintQueue, addUniqueJob } from "../config/queue.js";
+import { HttpError } from "./httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Eligibility tiers as "name:days:amount", comma separated. A player falls in
+ * the first tier whose window (days since last login) they logged in within;
+ * players outside the widest window get nothing.
+ */
+export const DAILY_MINT_TIERS = (process.env.DAILY_MINT_TIERS || "daily:1:10000,weekly:7:5000,monthly:30:2500")
+  .split(",")
+  .map((tier) => {
+    const [name, days, amount] = tier.trim().split(":");
+    const activeWithinDays = Number(days);
+    if (!name || !Number.isFinite(activeWithinDays) || activeWithinDays <= 0) {
+      throw new Error(`Invalid DAILY_MINT_TIERS entry: ${tier}`);
+    }
+    return { name, activeWithinDays, amount: parseChipAmount(amount) };
+  })
+  .sort((a, b) => a.activeWithinDays - b.activeWithinDays);
+
+// Unverified players are only minted to when this is "false"
+export const DAILY_MINT_REQUIRE_VERIFIED = process.env.DAILY_MINT_REQUIRE_VERIFIED !== "false";
+
+// UTC time of day ("HH:MM") for the scheduled mint; unset means manual only
+export const DAILY_MINT_TIME = process.env.DAILY_MINT_TIME || null;
+
+/** A mint run or reversal that cannot start. */
+export class DailyMintError extends HttpError {}
+
+export const eligibilityFilter = () => ({
+  role: "Player",
+  isBanned: false,
+  ...(DAILY_MINT_REQUIRE_VERIFIED && { isVerified: true }),
+});
+
+/**
+ * The tiers for a run at `now`, each with the user filter selecting its
+ * segment. `amountPerUser` replaces every tier's amount.
+ */
+export const mintSegments = (now = new Date(), amountPerUser = null) => {
+  const override = amountPerUser !== null && amountPerUser !== undefined ? parseChipAmount(amountPerUser) : null;
+
+  return DAILY_MINT_TIERS.map((tier, i) => {
+    const lastLoginAt = { $gte: new Date(now.getTime() - tier.activeWithinDays * DAY_MS) };
+    if (i > 0) {
+      lastLoginAt.$lt = new Date(now.getTime() - DAILY_MINT_TIERS[i - 1].activeWithinDays * DAY_MS);
+    }
+
+    return {
+      name: tier.name,
+      activeWithinDays: tier.activeWithinDays,
+      amount: override ?? tier.amount,
+      filter: { ...eligibilityFilter(), lastLoginAt },
+    };
+  });
+};
+
+const tierSummary = (segment, recipientCount) => ({
+  name: segment.name,
+  activeWithinDays: segment.activeWithinDays,
+  amountPerUser: formatChips(segment.amount),
+  recipientCount,
+  totalAmount: formatChips(segment.amount * BigInt(recipientCount)),
+});
+
+// Chips in circulation: issued by the mint minus what was burned
+const currentSupply = async () => {
+  const balances = await getAccountBalances({ account: { $in: [SYSTEM_ACCOUNTS.MINT, SYSTEM_ACCOUNTS.BURN] } });
+  const issued = subtractChips(0n, balances[SYSTEM_ACCOUNTS.MINT] || "0");
+  return subtractChips(issued, balances[SYSTEM_ACCOUNTS.BURN] || "0");
+};
+
+/**
+ * Dry run of the mint at `now`: recipients per tier, up to `limit` sample
+ * recipients and the supply impact. Nothing is written.
+ */
+export const previewDailyMint = async ({ now = new Date(), amountPerUser = null, limit = 100 } = {}) => {
+  const runDate = utcDay(now);
+  const segments = mintSegments(now, amountPerUser);
+
+  const counts = await Promise.all(segments.map((segment) => User.countDocuments(segment.filter)));
+  const tiers = segments.map((segment, i) => tierSummary(segment, counts[i]));
+
+  const recipients = [];
+  for (const segment of segments) {
+    if (recipients.length >= limit) break;
+    const users = await User.find(segment.filter)
+      .select("name email lastLoginAt")
+      .sort({ _id: 1 })
+      .limit(limit - recipients.length)
+      .lean();
+    users.forEach((u) => recipients.push({
+      userId: u._id,
+      name: u.name,
+      email: u.email,
+      lastLoginAt: u.lastLoginAt,
+      tier: segment.name,
+      amount: formatChips(segment.amount),
+    }));
+  }
+
+  const totalAmount = segments.reduce((sum, segment, i) => sum + segment.amount * BigInt(counts[i]), 0n);
+  const supply = await currentSupply();
+  const existingRun = await DailyMintRun.findOne({ runDate }).select("batchId status trigger recipientCount").lean();
+
+  return {
+    runDate,
+    alreadyRun: Boolean(existingRun && existingRun.status !== "failed"),
+    existingRun,
+    tiers,
+    recipientCount: counts.reduce((sum, count) => sum + count, 0),
+    totalAmount: formatChips(totalAmount),
+    currentSupply: formatChips(supply),
+    projectedSupply: formatChips(addChips(supply, totalAmount)),
+    recipients,
+  };
+};
+
+// Users credited per chunk; each chunk is one MongoDB transaction
+export const DAILY_MINT_CHUNK_SIZE = parseInt(process.env.DAILY_MINT_CHUNK_SIZE || "1000", 10);
+
+// A second guard, next to the run checkpoint, against crediting a user twice in one run
+const mintIdempotencyKey = (batchId, userId) => `${batchId}:${userId}`;
+
+const processJobId = (run) => `daily-mint-run-${run._id}`;
+
+const reversalJobId = (run) => `daily-mint-reversal-${run._id}`;
+
+// Mint failures kept on the run for display; the count covers all of them
+const REVERSAL_FAILURES_KEPT = 100;
+
+const REVERSAL_PROGRESS_INTERVAL = 100;
+
+/**
+ * Every user the run credits: eligible and inside the widest tier window.
+ */
+const runFilter = (run) => {
+  const widest = DAILY_MINT_TIERS[DAILY_MINT_TIERS.length - 1];
+  return {
+    ...eligibilityFilter(),
+    lastLoginAt: { $gte: new Date(run.referenceAt.getTime() - widest.activeWithinDays * DAY_MS) },
+  };
+};
+
+/**
+ * Index of the tier a user falls in, from their last login relative to the
+ * run's reference time. A login after the reference time counts as the
+ * most active tier.
+ */
+const tierIndexFor = (run, lastLoginAt) => {
+  const idleMs = run.referenceAt.getTime() - new Date(lastLoginAt).getTime();
+  const index = DAILY_MINT_TIERS.findIndex((tier) => idleMs <= tier.activeWithinDays * DAY_MS);
+  return index === -1 ? DAILY_MINT_TIERS.length - 1 : index;
+};
+
+const enqueueJob = (name, jobId, run) =>
+  addUniqueJob(
+    dailyMintQueue,
+    name,
+    { runId: run._id.toString() },
+    { jobId, attempts: 3, backoff: { type: "exponential", delay: 5000 } }
+  );
+
+const enqueueRun = (run) => enqueueJob("process-daily-mint", processJobId(run), run);
+
+/**
+ * Queue the daily mint for the UTC day of `now`. A run that failed today is
+ * resumed from its checkpoint; any other existing run for the date means the
+ * mint already happened (or is happening) and throws DailyMintError.
+ * Returns `{ run, resumed }`.
+ */
+export const startDailyMint = async ({
+  trigger,
+  adminId = null,
+  adminIp = null,
+  adminUserAgent = null,
+  amountPerUser = null,
+  now = new Date(),
+}) => {
+  if (!dailyMintQueue) {
+    throw new DailyMintError("Daily mint service unavailable - Redis not connected.", 503);
+  }
+
+  const runDate = utcDay(now);
+  const segments = mintSegments(now, amountPerUser);
+  const requestedAmount = amountPerUser !== null && amountPerUser !== undefined
+    ? formatChips(parseChipAmount(amountPerUser))
+    : null;
+  let run;
+  let resumed = false;
+
+  try {
+    const counts = await Promise.all(segments.map((segment) => User.countDocuments(segment.filter)));
+    run = await DailyMintRun.create({
+      runDate,
+      batchId: `daily-mint-${Date.now()}`,
+      trigger,
+      triggeredBy: adminId,
+      adminIp,
+      adminUserAgent,
+      referenceAt: now,
+      amountPerUser: requestedAmount,
+      estimatedRecipients: counts.reduce((sum, count) => sum + count, 0),
+      tiers: segments.map((segment) => tierSummary(segment, 0)),
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // A resumed run keeps crediting the amount it started with
+    const existing = await DailyMintRun.findOne({ runDate }).select("status amountPerUser").lean();
+    if (existing?.status === "failed" && requestedAmount !== null && requestedAmount !== existing.amountPerUser) {
+      throw new DailyMintError(
+        `Today's failed run credits ${existing.amountPerUser ?? "the tier amounts"}; resume it without amountPerUser or with the same amount`,
+        409
+      );
+    }
+
+    run = await DailyMintRun.findOneAndUpdate(
+      { runDate, status: "failed", "reversal.status": { $nin: ["queued", "processing"] } },
+      { $set: { status: "queued", error: null } },
+      { new: true }
+    );
+    if (!run) {
+      throw new DailyMintError(`Daily mint already ran for ${runDate}`, 409);
+    }
+    resumed = true;
+  }
+
+  await enqueueRun(run);
+  return { run, resumed };
+};
+
+/**
+ * Resume a failed run from its checkpoint.
+ */
+export const resumeDailyMint = async (runId) => {
+  if (!dailyMintQueue) {
+    throw new DailyMintError("Daily mint service unavailable - Redis not connected.", 503);
+  }
+
+  const run = await DailyMintRun.findOneAndUpdate(
+    { _id: runId, status: "failed", "reversal.status": { $nin: ["queued", "processing"] } },
+    { $set: { status: "queued", error: null } },
+    { new: true }
+  );
+  if (!run) {
+    const exists = await DailyMintRun.exists({ _id: runId });
+    throw exists
+      ? new DailyMintError("Only failed runs that are not being reversed can be resumed")
+      : new DailyMintError("Daily mint run not found", 404);
+  }
+
+  await enqueueRun(run);
+  return run;
+};
+
+/**
+ * Credit one chunk of users in a single transaction: balances with one bulk
+ * write, one `daily-mint` transaction and journal per user, and the run's
+ * checkpoint and totals. Committing the checkpoint with the credits is what
+ * makes a resumed run pick up exactly where the last committed chunk ended.
+ */
+const creditChunk = async (runId, users, session) => {
+  const run = await DailyMintRun.findById(runId).session(session);
+  if (run.status !== "processing") {
+    throw new DailyMintError(`Run is ${run.status}`);
+  }
+  if (run.lastUserId && users[0]._id.toString() <= run.lastUserId.toString()) {
+    // Another worker already committed this chunk
+    throw new DailyMintError("Chunk already credited", 409);
+  }
+
+  const override = run.amountPerUser !== null ? parseChipAmount(run.amountPerUser) : null;
+  const tierCounts = DAILY_MINT_TIERS.map(() => 0);
+  const balanceOps = [];
+  const txs = [];
+
+  for (const user of users) {
+    const tierIndex = tierIndexFor(run, user.lastLoginAt);
+    const tier = DAILY_MINT_TIERS[tierIndex];
+    const amount = override ?? tier.amount;
+    tierCounts[tierIndex]++;
+
+    balanceOps.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $inc: { balance: toDecimal128(amount) } },
+      },
+    });
+    txs.push({
+      fromUserId: null,
+      toUserId: user._id,
+      fromAccount: SYSTEM_ACCOUNTS.MINT,
+      toAccount: userAccount(user._id),
+      amount: toDecimal128(amount),
+      type: "daily-mint",
+      status: "approved",
+      batchId: run.batchId,
+      idempotencyKey: mintIdempotencyKey(run.batchId, user._id),
+      reason: `Daily mint (${tier.name})`,
+      adminId: run.triggeredBy,
+      adminIp: run.adminIp,
+      adminUserAgent: run.adminUserAgent,
+    });
+  }
+
+  await User.bulkWrite(balanceOps, { session, ordered: false });
+  const mintTxs = await Transaction.insertMany(txs, { session });
+  await postTransactionJournal(mintTxs, { session });
+
+  let chunkTotal = 0n;
+  run.tiers.forEach((tier, i) => {
+    const amount = parseChipAmount(tier.amountPerUser);
+    tier.recipientCount += tierCounts[i];
+    tier.totalAmount = formatChips(addChips(tier.totalAmount, amount * BigInt(tierCounts[i])));
+    chunkTotal = addChips(chunkTotal, amount * BigInt(tierCounts[i]));
+  });
+  run.totalAmount = formatChips(addChips(run.totalAmount, chunkTotal));
+  run.recipientCount += users.length;
+  run.chunksCompleted += 1;
+  run.lastUserId = users[users.length - 1]._id;
+  await run.save({ session });
+
+  return run;
+};
+
+/**
+ * Process a queued run: page through eligible users by `_id` after the
+ * checkpoint and credit them chunk by chunk. `onChunk(run, userIds)` is
+ * called after each committed chunk. Returns the completed run.
+ */
+export const processDailyMintRun = async (runId, { onChunk } = {}) => {
+  let run = await DailyMintRun.findOneAndUpdate(
+    { _id: runId, status: { $in: ["queued", "processing"] } },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!run) {
+    return DailyMintRun.findById(runId);
+  }
+
+  const filter = runFilter(run);
+  const session = await mongoose.startSession();
+
+  try {
+    for (;;) {
+      const users = await User.find({
+        ...filter,
+        ...(run.lastUserId && { _id: { $gt: run.lastUserId } }),
+      })
+        .select("_id lastLoginAt")
+        .sort({ _id: 1 })
+        .limit(DAILY_MINT_CHUNK_SIZE)
+        .lean();
+      if (users.length === 0) break;
+
+      try {
+        await session.withTransaction(async () => {
+          run = await creditChunk(runId, users, session);
+        });
+      } catch (err) {
+        if (!(err instanceof DailyMintError)) throw err;
+        // Another worker moved the checkpoint on, or the run was stopped
+        run = await DailyMintRun.findById(runId);
+        if (run.status !== "processing") return run;
+        continue;
+      }
+
+      if (onChunk) {
+        await onChunk(run, users.map((u) => u._id.toString()));
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+
+  return DailyMintRun.findByIdAndUpdate(
+    runId,
+    { $set: { status: "completed", completedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export const markDailyMintFailed = (runId, error) =>
+  DailyMintRun.updateOne({ _id: runId, status: { $ne: "completed" } }, { $set: { status: "failed", error } });
+
+// Mints of a batch that still hold chips to reverse
+const reversibleMintsFilter = (batchId) => ({
+  batchId,
+  type: "daily-mint",
+  status: { $in: ["approved", "partially_reversed"] },
+});
+
+/**
+ * Run record for a `daily-mint-*` batch minted before runs were recorded,
+ * created on first use from the batch's mints. Returns null when the batch
+ * has no mints.
+ */
+const findOrCreateLegacyRun = async (batchId) => {
+  const [summary] = await Transaction.aggregate([
+    { $match: { batchId, type: "daily-mint" } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        totalAmount: { $sum: "$amount" },
+        firstAt: { $min: "$createdAt" },
+        lastAt: { $max: "$createdAt" },
+        adminId: { $first: "$adminId" },
+      },
+    },
+  ]);
+  if (!summary) return null;
+
+  return DailyMintRun.findOneAndUpdate(
+    { batchId },
+    {
+      $setOnInsert: {
+        legacy: true,
+        status: "completed",
+        trigger: "manual",
+        triggeredBy: summary.adminId || null,
+        referenceAt: summary.firstAt,
+        estimatedRecipients: summary.count,
+        recipientCount: summary.count,
+        totalAmount: formatChips(summary.totalAmount ? summary.totalAmount.toString() : "0"),
+        startedAt: summary.firstAt,
+        completedAt: summary.lastAt,
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+/**
+ * Queue the rollback of a whole mint batch. The batch must belong to a run
+ * that is not still minting (batches from before runs were recorded get a
+ * legacy run), and only one rollback runs at a time. A
+ * rollback requested again walks every mint not yet fully reversed.
+ */
+export const startDailyMintReversal = async (
+  batchId,
+  { reason, upToAvailable = false, adminId, adminIp = null, adminUserAgent = null }
+) => {
+  if (!dailyMintQueue) {
+    throw new DailyMintError("Daily mint service unavailable - Redis not connected.", 503);
+  }
+
+  const run = (await DailyMintRun.findOne({ batchId }).lean()) || (await findOrCreateLegacyRun(batchId));
+  if (!run) {
+    throw new DailyMintError("Daily mint batch not found", 404);
+  }
+  if (["queued", "processing"].includes(run.status)) {
+    throw new DailyMintError("Wait for the daily mint run to finish before reversing it");
+  }
+
+  const estimatedCount = await Transaction.countDocuments(reversibleMintsFilter(batchId));
+  if (estimatedCount === 0) {
+    throw new DailyMintError("Daily mint batch is already fully reversed");
+  }
+
+  const claimed = await DailyMintRun.findOneAndUpdate(
+    { _id: run._id, "reversal.status": { $nin: ["queued", "processing"] } },
+    {
+      $set: {
+        reversal: {
+          status: "queued",
+          reason,
+          upToAvailable,
+          requestedBy: adminId,
+          adminIp,
+          adminUserAgent,
+          requestedAt: new Date(),
+          estimatedCount,
+          reversedCount: 0,
+          failedCount: 0,
+          lastTransactionId: null,
+          failures: [],
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new DailyMintError("Daily mint reversal already in progress");
+  }
+
+  await enqueueJob("reverse-daily-mint", reversalJobId(claimed), claimed);
+  return claimed;
+};
+
+/**
+ * Reverse a queued batch rollback: walk the batch's mints by `_id` after the
+ * checkpoint with a cursor, each reversal in its own transaction together
+ * with the checkpoint. Mints that cannot be reversed are recorded and the
+ * rest still go through. `onProgress(run, userIds)` is called every few
+ * hundred mints. Returns the run.
+ */
+export const processDailyMintReversal = async (runId, { onProgress } = {}) => {
+  let run = await DailyMintRun.findOneAndUpdate(
+    { _id: runId, "reversal.status": { $in: ["queued", "processing"] } },
+    { $set: { "reversal.status": "processing", "reversal.error": null } },
+    { new: true }
+  );
+  if (!run) {
+    return DailyMintRun.findById(runId);
+  }
+
+  const { reversal } = run;
+  const context = {
+    reason: reversal.reason,
+    adminId: reversal.requestedBy,
+    adminIp: reversal.adminIp,
+    adminUserAgent: reversal.adminUserAgent,
+    batchId: `${run.batchId}-reversal`,
+    upToAvailable: reversal.upToAvailable,
+  };
+
+  const session = await mongoose.startSession();
+  let userIds = [];
+  let processed = 0;
+
+  try {
+    const cursor = Transaction.find({
+      ...reversibleMintsFilter(run.batchId),
+      ...(reversal.lastTransactionId && { _id: { $gt: reversal.lastTransactionId } }),
+    })
+      .select("_id toUserId")
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    for await (const { _id, toUserId } of cursor) {
+      try {
+        await session.withTransaction(async () => {
+          const mintTx = await Transaction.findById(_id).session(session);
+          await applyReversal(mintTx, context, session);
+          await DailyMintRun.updateOne(
+            { _id: runId },
+            { $set: { "reversal.lastTransactionId": _id }, $inc: { "reversal.reversedCount": 1 } },
+            { session }
+          );
+        });
+        userIds.push(toUserId.toString());
+      } catch (err) {
+        if (!(err instanceof ReversalError)) throw err;
+        await DailyMintRun.updateOne(
+          { _id: runId },
+          {
+            $set: { "reversal.lastTransactionId": _id },
+            $inc: { "reversal.failedCount": 1 },
+            $push: {
+              "reversal.failures": {
+                $each: [{ transactionId: _id, error: err.message }],
+                $slice: -REVERSAL_FAILURES_KEPT,
+              },
+            },
+          }
+        );
+      }
+
+      processed++;
+      if (onProgress && processed % REVERSAL_PROGRESS_INTERVAL === 0) {
+        await onProgress(await DailyMintRun.findById(runId).lean(), userIds);
+        userIds = [];
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+
+  run = await DailyMintRun.findById(runId);
+  if (onProgress) {
+    await onProgress(run, userIds);
+  }
+
+  return DailyMintRun.findByIdAndUpdate(
+    runId,
+    {
+      $set: {
+        "reversal.status": run.reversal.failedCount > 0 ? "completed_with_errors" : "completed",
+        "reversal.completedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+};
+
+export const markDailyMintReversalFailed = (runId, error) =>
+  DailyMintRun.updateOne(
+    { _id: runId, "reversal.status": { $in: ["queued", "processing"] } },
+    { $set: { "reversal.status": "failed", "reversal.error": error } }
+  );
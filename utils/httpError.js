@@ -0,0 +1,12 @@
+/**
+ * An expected failure that a controller answers directly: `status` is the
+ * HTTP status to respond with (400 unless given). Each domain module
+ * subclasses it so its controllers catch only their own errors.
+ */
+export class HttpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
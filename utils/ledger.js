@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import LedgerEntry from "../models/LedgerEntry.js";
+import { toMinorUnits, formatChips, toDecimal128 } from "./chipAmount.js";
+
+/**
+ * Double-entry ledger helpers.
+ *
+ * Accounts are plain strings: "user:<userId>" for players/admins and
+ * "system:<name>" for the house accounts below. An account balance is
+ * credits minus debits, so user accounts carry their chip balance and the
+ * mint account goes negative by exactly the amount of chips in circulation.
+ */
+
+export const SYSTEM_ACCOUNTS = {
+  MINT: "system:mint",
+  BURN: "system:burn",
+  RECOVERY_ESCROW: "system:recovery-escrow",
+  FORFEIT: "system:forfeit",
+};
+
+export const userAccount = (userId) => `user:${userId}`;
+
+export const isUserAccount = (account) => typeof account === "string" && account.startsWith("user:");
+
+export const accountUserId = (account) => {
+  return isUserAccount(account) ? account.slice("user:".length) : null;
+};
+
+/**
+ * Ledger accounts for a Transaction. Older rows predate fromAccount/toAccount,
+ * so fall back to the user IDs, with a missing sender meaning the mint and a
+ * missing receiver meaning the burn account.
+ */
+export const transactionAccounts = (transaction) => ({
+  fromAccount: transaction.fromAccount
+    || (transaction.fromUserId ? userAccount(transaction.fromUserId._id || transaction.fromUserId) : SYSTEM_ACCOUNTS.MINT),
+  toAccount: transaction.toAccount
+    || (transaction.toUserId ? userAccount(transaction.toUserId._id || transaction.toUserId) : SYSTEM_ACCOUNTS.BURN),
+});
+
+/**
+ * Build the ledger lines for a Transaction. Every chip movement goes
+ * fromAccount -> toAccount; chip recovery is routed through the recovery
+ * escrow so the books show the chips leaving the banned account first.
+ * Recovery holds and payouts already have the escrow on one side.
+ */
+export const buildTransactionLines = (transaction) => {
+  const { amount, type } = transaction;
+  const { fromAccount, toAccount } = transactionAccounts(transaction);
+  const viaEscrow = fromAccount !== SYSTEM_ACCOUNTS.RECOVERY_ESCROW && toAccount !== SYSTEM_ACCOUNTS.RECOVERY_ESCROW;
+
+  if (type === "chip-recovery" && viaEscrow) {
+    return [
+      { account: fromAccount, direction: "debit", amount },
+      { account: SYSTEM_ACCOUNTS.RECOVERY_ESCROW, direction: "credit", amount },
+      { account: SYSTEM_ACCOUNTS.RECOVERY_ESCROW, direction: "debit", amount },
+      { account: toAccount, direction: "credit", amount },
+    ];
+  }
+
+  return [
+    { account: fromAccount, direction: "debit", amount },
+    { account: toAccount, direction: "credit", amount },
+  ];
+};
+
+/**
+ * Turn ledger lines into LedgerEntry documents, refusing unbalanced journals.
+ */
+export const buildJournal = (transaction, lines) => {
+  let debits = 0n;
+  let credits = 0n;
+
+  const docs = lines.map((line) => {
+    const amount = toMinorUnits(line.amount);
+    if (amount <= 0n) {
+      throw new Error("Ledger line amount must be positive");
+    }
+    if (line.direction === "debit") debits += amount;
+    else credits += amount;
+
+    const userId = accountUserId(line.account);
+    return {
+      transactionId: transaction._id,
+      account: line.account,
+      userId: userId ? new mongoose.Types.ObjectId(userId) : null,
+      direction: line.direction,
+      amount: toDecimal128(amount),
+      type: transaction.type,
+      batchId: transaction.batchId,
+    };
+  });
+
+  if (debits !== credits) {
+    throw new Error(
+      `Unbalanced journal for transaction ${transaction._id}: debits ${formatChips(debits)} != credits ${formatChips(credits)}`
+    );
+  }
+
+  return docs;
+};
+
+/**
+ * Post the journal for one or more Transactions inside the caller's session.
+ */
+export const postTransactionJournal = async (transactions, { session } = {}) => {
+  const list = Array.isArray(transactions) ? transactions : [transactions];
+  const docs = list.flatMap((tx) => buildJournal(tx, buildTransactionLines(tx)));
+  return LedgerEntry.insertMany(docs, { session });
+};
+
+/**
+ * Balances (credits - debits) per account, optionally restricted by a match.
+ * Returned amounts are canonical chip strings.
+ */
+export const getAccountBalances = async (match = {}, { session = null } = {}) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$account",
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]).session(session);
+
+  return rows.reduce((acc, row) => {
+    acc[row._id] = formatChips(row.balance ? row.balance.toString() : "0");
+    return acc;
+  }, {});
+};
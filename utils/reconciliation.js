@@ -0,0 +1,274 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import ReconciliationReport from "../models/ReconciliationReport.js";
+import ReconciliationDiscrepancy from "../models/ReconciliationDiscrepancy.js";
+import { getCachedBalance } from "./cache.js";
+import { reconciliationQueue } from "../config/queue.js";
+import { addChips, subtractChips, formatChips } from "./chipAmount.js";
+import { userAccount, getAccountBalances } from "./ledger.js";
+import logger from "./logger.js";
+
+// Statuses whose chips actually moved. A (partially) reversed original
+// still counts: its reversal rows (status "approved") move the chips back.
+export const SETTLED_STATUSES = ["approved", "partially_reversed", "reversed"];
+
+const DISCREPANCY_BATCH_SIZE = 500;
+
+/**
+ * Credits and debits per user from Transaction history. Each settled
+ * transaction credits toUserId and debits fromUserId; system counterparties
+ * (null user IDs) are skipped.
+ */
+export const computeHistoryBalances = async (match = {}, groupBy = null, session = null) => {
+  const rows = await Transaction.aggregate([
+    { $match: { status: { $in: SETTLED_STATUSES }, ...match } },
+    {
+      $project: {
+        amount: 1,
+        type: 1,
+        legs: [
+          { userId: "$toUserId", credit: true },
+          { userId: "$fromUserId", credit: false },
+        ],
+      },
+    },
+    { $unwind: "$legs" },
+    { $match: { "legs.userId": { $ne: null } } },
+    {
+      $group: {
+        _id: groupBy ? { userId: "$legs.userId", [groupBy]: `$${groupBy}` } : "$legs.userId",
+        credits: { $sum: { $cond: ["$legs.credit", "$amount", 0] } },
+        debits: { $sum: { $cond: ["$legs.credit", 0, "$amount"] } },
+        transactionCount: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+
+  return rows.map((row) => {
+    const credits = formatChips(row.credits ? row.credits.toString() : "0");
+    const debits = formatChips(row.debits ? row.debits.toString() : "0");
+    return {
+      ...(groupBy ? { userId: row._id.userId.toString(), [groupBy]: row._id[groupBy] } : { userId: row._id.toString() }),
+      credits,
+      debits,
+      balance: formatChips(subtractChips(credits, debits)),
+      transactionCount: row.transactionCount,
+    };
+  });
+};
+
+const readCachedBalance = async (userId) => {
+  const cached = await getCachedBalance(userId);
+  if (!cached) return null;
+  try {
+    return JSON.parse(cached).balance ?? null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const sameAmount = (a, b) => {
+  try {
+    return subtractChips(a, b) === 0n;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Compare one user's stored balance with history, ledger and cache.
+ */
+const compareUser = async (user, historyBalance, ledgerBalance) => {
+  const userId = user._id.toString();
+  const storedBalance = formatChips(user.balance);
+  const cachedBalance = await readCachedBalance(userId);
+
+  const issues = [];
+  if (subtractChips(storedBalance, historyBalance) !== 0n) issues.push("stored_vs_history");
+  if (subtractChips(storedBalance, ledgerBalance) !== 0n) issues.push("stored_vs_ledger");
+  if (cachedBalance !== null && !sameAmount(cachedBalance, storedBalance)) issues.push("cache_mismatch");
+
+  return {
+    userId: user._id,
+    email: user.email,
+    storedBalance,
+    historyBalance,
+    ledgerBalance,
+    cachedBalance,
+    difference: formatChips(subtractChips(storedBalance, historyBalance)),
+    issues,
+  };
+};
+
+/**
+ * Compare one user again from a single snapshot read of their stored
+ * balance, history and ledger. The full run reads those at different times,
+ * so a transfer committing in between looks like a discrepancy; only users
+ * that still disagree here are reported. Returns null if the user is gone.
+ */
+const recheckUser = async (userId) => {
+  const objectId = new mongoose.Types.ObjectId(userId.toString());
+  const match = { $or: [{ fromUserId: objectId }, { toUserId: objectId }] };
+  const session = await mongoose.startSession();
+
+  try {
+    let snapshot;
+    await session.withTransaction(async () => {
+      const user = await User.findById(objectId).select("email balance").session(session).lean();
+      const history = await computeHistoryBalances(match, null, session);
+      const ledger = await getAccountBalances({ account: userAccount(objectId) }, { session });
+      snapshot = {
+        user,
+        historyBalance: history.find((row) => row.userId === objectId.toString())?.balance || "0",
+        ledgerBalance: ledger[userAccount(objectId)] || "0",
+      };
+    }, { readConcern: { level: "snapshot" } });
+
+    if (!snapshot.user) return null;
+    return compareUser(snapshot.user, snapshot.historyBalance, snapshot.ledgerBalance);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Recompute every user's balance and record a report with one discrepancy
+ * row per user that does not reconcile. With `reportId` the run fills in a
+ * report queued earlier (see queueReconciliation) instead of a new one.
+ */
+export const runReconciliation = async ({ trigger, triggeredBy = null, reportId = null }) => {
+  const report = reportId
+    ? await ReconciliationReport.findByIdAndUpdate(
+      reportId,
+      { $set: { status: "running", startedAt: new Date() } },
+      { new: true }
+    )
+    : await ReconciliationReport.create({ trigger, triggeredBy });
+  if (!report) {
+    throw new Error(`Reconciliation report ${reportId} not found`);
+  }
+
+  try {
+    const history = new Map(
+      (await computeHistoryBalances()).map((row) => [row.userId, row.balance])
+    );
+    const ledger = await getAccountBalances({ userId: { $ne: null } });
+
+    let usersChecked = 0;
+    let discrepancyCount = 0;
+    let cacheMismatchCount = 0;
+    let storedTotal = 0n;
+    let historyTotal = 0n;
+    let ledgerTotal = 0n;
+    let pending = [];
+
+    const cursor = User.find().select("email balance").lean().cursor();
+    for await (const user of cursor) {
+      const userId = user._id.toString();
+      let result = await compareUser(
+        user,
+        history.get(userId) || "0",
+        ledger[userAccount(userId)] || "0"
+      );
+      if (result.issues.length > 0) {
+        result = await recheckUser(user._id);
+        if (!result) continue;
+      }
+
+      usersChecked++;
+      storedTotal = addChips(storedTotal, result.storedBalance);
+      historyTotal = addChips(historyTotal, result.historyBalance);
+      ledgerTotal = addChips(ledgerTotal, result.ledgerBalance);
+
+      if (result.issues.length > 0) {
+        discrepancyCount++;
+        if (result.issues.includes("cache_mismatch")) cacheMismatchCount++;
+        pending.push({ reportId: report._id, ...result });
+      }
+
+      if (pending.length >= DISCREPANCY_BATCH_SIZE) {
+        await ReconciliationDiscrepancy.insertMany(pending);
+        pending = [];
+      }
+    }
+
+    if (pending.length > 0) {
+      await ReconciliationDiscrepancy.insertMany(pending);
+    }
+
+    report.status = "completed";
+    report.completedAt = new Date();
+    report.usersChecked = usersChecked;
+    report.discrepancyCount = discrepancyCount;
+    report.cacheMismatchCount = cacheMismatchCount;
+    report.totals = {
+      stored: formatChips(storedTotal),
+      history: formatChips(historyTotal),
+      ledger: formatChips(ledgerTotal),
+    };
+    await report.save();
+
+    logger.info(
+      `Reconciliation ${report._id} completed: ${usersChecked} users, ${discrepancyCount} discrepancies`
+    );
+    return report;
+  } catch (error) {
+    report.status = "failed";
+    report.completedAt = new Date();
+    report.error = error.message;
+    await report.save();
+    logger.error(`Reconciliation ${report._id} failed:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Queue an on-demand run on the reconciliation queue and return its report,
+ * still `queued`; the worker fills it in. Returns null without a queue.
+ */
+export const queueReconciliation = async ({ triggeredBy = null }) => {
+  if (!reconciliationQueue) return null;
+
+  const report = await ReconciliationReport.create({ status: "queued", trigger: "manual", triggeredBy });
+  await reconciliationQueue.add("reconcile-ledger-manual", { reportId: report._id.toString() });
+  return report;
+};
+
+/**
+ * Live drill-down for one user: the balance recomputed from history, broken
+ * down by transaction type, next to the stored, ledger and cached balances.
+ */
+export const reconcileSingleUser = async (userId) => {
+  const user = await User.findById(userId).select("name email balance").lean();
+  if (!user) return null;
+
+  const objectId = new mongoose.Types.ObjectId(userId);
+  const match = { $or: [{ fromUserId: objectId }, { toUserId: objectId }] };
+
+  const [[totals], byType, ledger] = await Promise.all([
+    computeHistoryBalances(match).then((rows) => [rows.find((row) => row.userId === userId)]),
+    computeHistoryBalances(match, "type").then((rows) => rows.filter((row) => row.userId === userId)),
+    getAccountBalances({ account: userAccount(userId) }),
+  ]);
+
+  const history = totals || { credits: "0", debits: "0", balance: "0", transactionCount: 0 };
+  const result = await compareUser(user, history.balance, ledger[userAccount(userId)] || "0");
+
+  return {
+    ...result,
+    name: user.name,
+    history: {
+      credits: history.credits,
+      debits: history.debits,
+      transactionCount: history.transactionCount,
+      byType: byType.map(({ type, credits, debits, balance, transactionCount }) => ({
+        type,
+        credits,
+        debits,
+        net: balance,
+        transactionCount,
+      })),
+    },
+  };
+};
@@ -0,0 +1,143 @@
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import { addChips, subtractChips, compareChips, toDecimal128 } from "./chipAmount.js";
+import { transactionAccounts, postTransactionJournal } from "./ledger.js";
+import { HttpError } from "./httpError.js";
+
+// Hours a player request stays pending before it expires; 0 disables expiry
+export const REQUEST_EXPIRY_HOURS = Number(process.env.REQUEST_EXPIRY_HOURS ?? 72);
+
+export const requestExpiresAt = (from = new Date()) =>
+  REQUEST_EXPIRY_HOURS > 0 ? new Date(from.getTime() + REQUEST_EXPIRY_HOURS * 60 * 60 * 1000) : null;
+
+/** A request that cannot be decided. */
+export class RequestDecisionError extends HttpError {}
+
+const loadPendingRequest = async (transactionId, session, action) => {
+  const requestTx = await Transaction.findById(transactionId).session(session);
+  if (!requestTx) {
+    throw new RequestDecisionError("Transaction not found", 404);
+  }
+
+  if (requestTx.type !== "request") {
+    throw new RequestDecisionError(`Can only ${action} request transactions`);
+  }
+
+  if (requestTx.status !== "pending") {
+    throw new RequestDecisionError("Request is not pending");
+  }
+
+  return requestTx;
+};
+
+/**
+ * Approve a pending request inside the caller's session: move the chips,
+ * mark it approved with the admin's audit fields and post its journal.
+ * Throws RequestDecisionError when it cannot be approved.
+ */
+export const approvePendingRequest = async (transactionId, { adminId, adminIp, adminUserAgent }, session) => {
+  const requestTx = await loadPendingRequest(transactionId, session, "approve");
+
+  if (requestTx.expiresAt && requestTx.expiresAt <= new Date()) {
+    throw new RequestDecisionError("Request has expired");
+  }
+
+  if (!requestTx.fromUserId || !requestTx.toUserId) {
+    throw new RequestDecisionError("Invalid request transaction");
+  }
+
+  const sender = await User.findById(requestTx.fromUserId).session(session);
+  const receiver = await User.findById(requestTx.toUserId).session(session);
+
+  if (!sender || !receiver) {
+    throw new RequestDecisionError("User not found", 404);
+  }
+
+  const amount = requestTx.amount;
+
+  if (compareChips(sender.balance, amount) < 0) {
+    throw new RequestDecisionError("Sender has insufficient balance");
+  }
+
+  sender.balance = toDecimal128(subtractChips(sender.balance, amount));
+  receiver.balance = toDecimal128(addChips(receiver.balance, amount));
+
+  await sender.save({ session });
+  await receiver.save({ session });
+
+  requestTx.status = "approved";
+  requestTx.resolvedAt = new Date();
+  requestTx.adminId = adminId;
+  requestTx.adminIp = adminIp;
+  requestTx.adminUserAgent = adminUserAgent;
+  Object.assign(requestTx, transactionAccounts(requestTx));
+  await requestTx.save({ session });
+  await postTransactionJournal(requestTx, { session });
+
+  return requestTx;
+};
+
+/**
+ * Reject a pending request inside the caller's session. No chips move.
+ */
+export const rejectPendingRequest = async (transactionId, { adminId, adminIp, adminUserAgent, reason }, session) => {
+  const requestTx = await loadPendingRequest(transactionId, session, "reject");
+
+  requestTx.status = "failed";
+  requestTx.resolvedAt = new Date();
+  requestTx.adminId = adminId;
+  requestTx.adminIp = adminIp;
+  requestTx.adminUserAgent = adminUserAgent;
+  requestTx.resolutionReason = reason || null;
+  await requestTx.save({ session });
+
+  return requestTx;
+};
+
+/**
+ * Cancel a pending request on behalf of the player who made it.
+ */
+export const cancelPendingRequest = async (transactionId, { userId, reason }, session) => {
+  const requestTx = await loadPendingRequest(transactionId, session, "cancel");
+
+  if (requestTx.fromUserId?.toString() !== userId.toString()) {
+    throw new RequestDecisionError("You can only cancel your own requests", 403);
+  }
+
+  requestTx.status = "cancelled";
+  requestTx.resolvedAt = new Date();
+  requestTx.resolutionReason = reason || null;
+  await requestTx.save({ session });
+
+  return requestTx;
+};
+
+/**
+ * Expire a pending request that is past its expiry. Returns null when it
+ * was resolved in the meantime.
+ */
+export const expirePendingRequest = async (transactionId, session) => {
+  const requestTx = await Transaction.findById(transactionId).session(session);
+  if (!requestTx || requestTx.type !== "request" || requestTx.status !== "pending") {
+    return null;
+  }
+
+  requestTx.status = "expired";
+  requestTx.resolvedAt = new Date();
+  await requestTx.save({ session });
+
+  return requestTx;
+};
+
+/**
+ * Filter for pending requests due to expire. Requests created before expiry
+ * was configured have no expiresAt and fall back to their age.
+ */
+export const expiredRequestsFilter = (now = new Date()) => ({
+  type: "request",
+  status: "pending",
+  $or: [
+    { expiresAt: { $lte: now } },
+    { expiresAt: null, createdAt: { $lte: new Date(now.getTime() - REQUEST_EXPIRY_HOURS * 60 * 60 * 1000) } },
+  ],
+});
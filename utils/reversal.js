@@ -0,0 +1,131 @@
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import {
+  addChips,
+  subtractChips,
+  compareChips,
+  toDecimal128,
+  toMinorUnits,
+  formatChips,
+} from "./chipAmount.js";
+import { transactionAccounts, postTransactionJournal } from "./ledger.js";
+import { HttpError } from "./httpError.js";
+
+/** A reversal that cannot be applied. */
+export class ReversalError extends HttpError {}
+
+// Statuses a transaction can be (further) reversed from
+const REVERSIBLE_STATUSES = ["approved", "partially_reversed"];
+
+/**
+ * Chips of a transaction not yet reversed.
+ */
+export const unreversedAmount = (tx) => subtractChips(tx.amount, tx.reversedAmount || 0n);
+
+/**
+ * Reverse an approved transaction, fully or in part, inside the caller's
+ * session: move the chips back, add them to the original's reversedAmount
+ * and write the linked reversal transaction with its journal.
+ *
+ * `amount` defaults to everything not yet reversed. With `upToAvailable`
+ * the amount is capped at what the recipient still holds instead of
+ * failing. The original stays `partially_reversed` until fully unwound.
+ * Throws ReversalError when not reversible.
+ */
+export const applyReversal = async (
+  originalTx,
+  { reason, adminId, adminIp, adminUserAgent, batchId, amount = null, upToAvailable = false },
+  session
+) => {
+  if (originalTx.status === "reversed") {
+    throw new ReversalError("Transaction already reversed");
+  }
+
+  if (originalTx.type === "reversal") {
+    throw new ReversalError("Cannot reverse a reversal transaction");
+  }
+
+  // Holds, payouts and releases belong to a recovery, which is undone by
+  // rejecting it; reversing one leg would leave the escrow out of step
+  if (originalTx.recoveryId) {
+    throw new ReversalError("Chip recovery transactions cannot be reversed; reject the recovery instead");
+  }
+
+  if (!REVERSIBLE_STATUSES.includes(originalTx.status)) {
+    throw new ReversalError("Can only reverse approved transactions");
+  }
+
+  if (!originalTx.fromUserId && !originalTx.toUserId) {
+    throw new ReversalError("Cannot reverse transaction without sender/receiver");
+  }
+
+  // A mint or admin credit has no sender: its reversal debits the recipient
+  // back to the system account the chips came from (and vice versa for a burn)
+  const sender = originalTx.toUserId ? await User.findById(originalTx.toUserId).session(session) : null;
+  const receiver = originalTx.fromUserId ? await User.findById(originalTx.fromUserId).session(session) : null;
+
+  if ((originalTx.toUserId && !sender) || (originalTx.fromUserId && !receiver)) {
+    throw new ReversalError("User not found", 404);
+  }
+
+  const remaining = unreversedAmount(originalTx);
+  let reverseAmount = amount === null ? remaining : toMinorUnits(amount);
+
+  if (reverseAmount <= 0n) {
+    throw new ReversalError("Reversal amount must be positive");
+  }
+
+  if (reverseAmount > remaining) {
+    throw new ReversalError(`Reversal amount exceeds the unreversed amount of ${formatChips(remaining)}`);
+  }
+
+  if (sender && compareChips(sender.balance, reverseAmount) < 0) {
+    if (!upToAvailable) {
+      throw new ReversalError("Insufficient balance for reversal");
+    }
+    reverseAmount = toMinorUnits(sender.balance);
+    if (reverseAmount <= 0n) {
+      throw new ReversalError("Recipient has no balance to reverse");
+    }
+  }
+
+  if (sender) {
+    sender.balance = toDecimal128(subtractChips(sender.balance, reverseAmount));
+    await sender.save({ session });
+  }
+  if (receiver) {
+    receiver.balance = toDecimal128(addChips(receiver.balance, reverseAmount));
+    await receiver.save({ session });
+  }
+
+  const reversedAmount = addChips(originalTx.reversedAmount || 0n, reverseAmount);
+  originalTx.reversedAmount = toDecimal128(reversedAmount);
+  originalTx.status = compareChips(reversedAmount, originalTx.amount) >= 0 ? "reversed" : "partially_reversed";
+  await originalTx.save({ session });
+
+  const originalAccounts = transactionAccounts(originalTx);
+  const reversalTx = await Transaction.create(
+    [
+      {
+        fromUserId: originalTx.toUserId || null,
+        toUserId: originalTx.fromUserId || null,
+        fromAccount: originalAccounts.toAccount,
+        toAccount: originalAccounts.fromAccount,
+        amount: toDecimal128(reverseAmount),
+        type: "reversal",
+        status: "approved",
+        isReversal: true,
+        reversedTransactionId: originalTx._id,
+        reason,
+        batchId,
+        adminId,
+        adminIp,
+        adminUserAgent,
+      },
+    ],
+    { session }
+  );
+  await postTransactionJournal(reversalTx[0], { session });
+
+  return reversalTx[0];
+};
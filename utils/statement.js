@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import { computeHistoryBalances, SETTLED_STATUSES } from "./reconciliation.js";
+import { addChips, subtractChips, formatChips } from "./chipAmount.js";
+import { transactionAccounts } from "./ledger.js";
+
+const involving = (objectId) => ({ $or: [{ fromUserId: objectId }, { toUserId: objectId }] });
+
+/**
+ * Statement period from the `from`/`to` query. Defaults to the current UTC
+ * month up to now; a date-only `to` covers that whole day.
+ */
+export const statementPeriod = ({ from, to }) => {
+  const now = new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  let end = to ? new Date(to) : now;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Balance from settled history strictly before `date`.
+ */
+export const balanceBefore = async (userId, date) => {
+  const objectId = new mongoose.Types.ObjectId(userId);
+  const rows = await computeHistoryBalances({ ...involving(objectId), createdAt: { $lt: date } });
+  return rows.find((row) => row.userId === userId.toString())?.balance || "0";
+};
+
+const describeParty = (user, account) =>
+  user ? { userId: user._id, name: user.name, email: user.email } : { account };
+
+/**
+ * Statement lines for a user in a period, oldest first, each with its
+ * direction relative to the user and the running balance after it.
+ */
+export async function* statementLines(userId, { from, to }, openingBalance) {
+  const objectId = new mongoose.Types.ObjectId(userId);
+  const id = objectId.toString();
+  let balance = openingBalance;
+
+  const cursor = Transaction.find({
+    ...involving(objectId),
+    status: { $in: SETTLED_STATUSES },
+    createdAt: { $gte: from, $lte: to },
+  })
+    .populate("fromUserId toUserId", "name email")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  for await (const tx of cursor) {
+    const credit = tx.toUserId?._id?.toString() === id;
+    const amount = formatChips(tx.amount);
+    balance = credit ? addChips(balance, amount) : subtractChips(balance, amount);
+
+    const accounts = transactionAccounts(tx);
+
+    yield {
+      transactionId: tx._id,
+      date: tx.createdAt,
+      type: tx.type,
+      status: tx.status,
+      direction: credit ? "credit" : "debit",
+      amount,
+      counterparty: credit
+        ? describeParty(tx.fromUserId, accounts.fromAccount)
+        : describeParty(tx.toUserId, accounts.toAccount),
+      reason: tx.reason || "",
+      reversedTransactionId: tx.reversedTransactionId || null,
+      runningBalance: formatChips(balance),
+    };
+  }
+}
+
+/**
+ * Full statement: opening balance, every movement with its running balance,
+ * and totals. Computed from Transaction history, not User.balance.
+ */
+export const buildStatement = async (userId, period) => {
+  const openingBalance = await balanceBefore(userId, period.from);
+
+  const lines = [];
+  let credits = 0n;
+  let debits = 0n;
+  for await (const line of statementLines(userId, period, openingBalance)) {
+    lines.push(line);
+    if (line.direction === "credit") credits = addChips(credits, line.amount);
+    else debits = addChips(debits, line.amount);
+  }
+
+  return {
+    from: period.from,
+    to: period.to,
+    openingBalance,
+    totalCredits: formatChips(credits),
+    totalDebits: formatChips(debits),
+    closingBalance: lines.length > 0 ? lines[lines.length - 1].runningBalance : openingBalance,
+    lines,
+  };
+};
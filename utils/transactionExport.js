@@ -0,0 +1,219 @@
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
+import ExcelJS from "exceljs";
+import jwt from "jsonwebtoken";
+import Transaction from "../models/Transaction.js";
+import ExportJob from "../models/ExportJob.js";
+import {
+  TRANSACTION_EXPORT_COLUMNS,
+  createTransactionCsvStringifier,
+  formatTransactionCsvRow,
+} from "./csvHandler.js";
+import { buildTransactionFilter } from "./transactionFilter.js";
+
+export const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv" },
+  jsonl: { extension: "jsonl", contentType: "application/x-ndjson" },
+  xlsx: {
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
+
+// Finished files are kept this long, then deleted by the cleanup job
+export const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS || "24", 10);
+
+// Lifetime of a signed download link; a fresh one is issued on every poll
+export const EXPORT_LINK_TTL_MINUTES = parseInt(process.env.EXPORT_LINK_TTL_MINUTES || "15", 10);
+
+// Excel's hard limit is 1,048,576 rows per sheet, header included
+const XLSX_ROWS_PER_SHEET = 1000000;
+
+const PROGRESS_INTERVAL = 5000;
+
+const DOWNLOAD_TOKEN_PURPOSE = "export-download";
+
+/**
+ * Artifacts live in GridFS rather than on local disk, so any instance (or a
+ * serverless function) can serve a file another instance's worker built.
+ */
+export const exportBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: "exports" });
+
+const csvChunks = async function* (cursor, onRow) {
+  const stringifier = createTransactionCsvStringifier();
+  yield stringifier.getHeaderString();
+  for await (const tx of cursor) {
+    yield stringifier.stringifyRecords([formatTransactionCsvRow(tx)]);
+    await onRow();
+  }
+};
+
+const jsonlChunks = async function* (cursor, onRow) {
+  for await (const tx of cursor) {
+    yield `${JSON.stringify(formatTransactionCsvRow(tx))}\n`;
+    await onRow();
+  }
+};
+
+/**
+ * Stream the workbook straight into the upload, rolling over to a new
+ * sheet before Excel's row limit.
+ */
+const writeXlsx = async (cursor, stream, onRow) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+
+  const header = TRANSACTION_EXPORT_COLUMNS.map((column) => column.title);
+  let sheet = null;
+  let sheetCount = 0;
+  let sheetRows = 0;
+
+  const nextSheet = () => {
+    if (sheet) sheet.commit();
+    sheetCount++;
+    sheet = workbook.addWorksheet(`Transactions ${sheetCount}`);
+    sheet.addRow(header).commit();
+    sheetRows = 0;
+  };
+
+  for await (const tx of cursor) {
+    if (!sheet || sheetRows >= XLSX_ROWS_PER_SHEET) nextSheet();
+    const record = formatTransactionCsvRow(tx);
+    sheet.addRow(TRANSACTION_EXPORT_COLUMNS.map((column) => record[column.id])).commit();
+    sheetRows++;
+    await onRow();
+  }
+
+  if (!sheet) nextSheet();
+  await workbook.commit();
+};
+
+/**
+ * Build an export job's file into GridFS from a transaction cursor. Safe to
+ * re-run: a retry starts a fresh file and discards any partial one.
+ */
+export const buildExport = async (exportJob, requester, { onProgress } = {}) => {
+  const format = EXPORT_FORMATS[exportJob.format];
+  const filter = buildTransactionFilter(exportJob.filters || {}, requester);
+  const totalRows = await Transaction.countDocuments(filter);
+
+  await ExportJob.updateOne(
+    { _id: exportJob._id },
+    { $set: { status: "processing", startedAt: new Date(), totalRows, rowCount: 0, error: null } }
+  );
+
+  const fileName = `transactions_${exportJob._id}.${format.extension}`;
+  const upload = exportBucket().openUploadStream(fileName, {
+    contentType: format.contentType,
+    metadata: { exportJobId: exportJob._id },
+  });
+
+  const cursor = Transaction.find(filter)
+    .populate("fromUserId toUserId adminId", "name email")
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor({ batchSize: 1000 });
+
+  let rowCount = 0;
+  const onRow = async () => {
+    rowCount++;
+    if (rowCount % PROGRESS_INTERVAL === 0) {
+      await ExportJob.updateOne({ _id: exportJob._id }, { $set: { rowCount } });
+      if (onProgress) await onProgress(totalRows ? Math.round((rowCount / totalRows) * 100) : 100);
+    }
+  };
+
+  try {
+    if (exportJob.format === "xlsx") {
+      const finished = new Promise((resolve, reject) => {
+        upload.once("finish", resolve);
+        upload.once("error", reject);
+      });
+      await writeXlsx(cursor, upload, onRow);
+      await finished;
+    } else {
+      const chunks = exportJob.format === "csv" ? csvChunks : jsonlChunks;
+      await pipeline(chunks(cursor, onRow), upload);
+    }
+  } catch (error) {
+    await upload.abort().catch(() => {});
+    throw error;
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  const completedAt = new Date();
+  await ExportJob.updateOne(
+    { _id: exportJob._id },
+    {
+      $set: {
+        status: "completed",
+        rowCount,
+        fileId: upload.id,
+        fileName,
+        size: upload.length,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000),
+      },
+    }
+  );
+
+  return { rowCount, fileId: upload.id };
+};
+
+/**
+ * Delete the files of completed exports past their retention and mark the
+ * jobs expired.
+ */
+export const removeExpiredExports = async () => {
+  const expired = await ExportJob.find({ status: "completed", expiresAt: { $lte: new Date() } })
+    .select("fileId")
+    .lean();
+
+  const bucket = exportBucket();
+  for (const job of expired) {
+    if (job.fileId) {
+      await bucket.delete(job.fileId).catch(() => {});
+    }
+    await ExportJob.updateOne({ _id: job._id }, { $set: { status: "expired", fileId: null } });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Signed, short-lived download link for a completed export. It never
+ * outlives the file itself.
+ */
+export const createDownloadLink = (exportJob) => {
+  const linkExpiry = Date.now() + EXPORT_LINK_TTL_MINUTES * 60 * 1000;
+  const expiresAt = new Date(Math.min(linkExpiry, exportJob.expiresAt.getTime()));
+
+  const token = jwt.sign(
+    { exportJobId: exportJob._id.toString(), purpose: DOWNLOAD_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 1) }
+  );
+
+  return {
+    url: `/api/exports/${exportJob._id}/download?token=${encodeURIComponent(token)}`,
+    expiresAt,
+  };
+};
+
+/**
+ * Check a download token against the export it is used for. Returns false
+ * for tokens that are expired, forged or issued for another export.
+ */
+export const verifyDownloadToken = (token, exportJobId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === DOWNLOAD_TOKEN_PURPOSE && decoded.exportJobId === exportJobId;
+  } catch (err) {
+    return false;
+  }
+};
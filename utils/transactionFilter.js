@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import { toDecimal128 } from "./chipAmount.js";
+import { HttpError } from "./httpError.js";
+
+// Query parameters understood by buildTransactionFilter
+export const TRANSACTION_FILTER_FIELDS = [
+  "fromDate",
+  "toDate",
+  "status",
+  "type",
+  "userId",
+  "minAmount",
+  "maxAmount",
+  "batchId",
+  "adminId",
+  "counterpartyId",
+  "direction",
+  "reversalStatus",
+  "search",
+];
+
+/**
+ * A filter combination that cannot be answered, e.g. a direction with no
+ * user to be relative to.
+ */
+export class TransactionFilterError extends HttpError {}
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const REVERSAL_STATUS_FILTERS = {
+  reversed: { status: "reversed" },
+  "partially-reversed": { status: "partially_reversed" },
+  "not-reversed": { status: { $nin: ["reversed", "partially_reversed"] }, type: { $ne: "reversal" } },
+  reversal: { type: "reversal" },
+};
+
+/**
+ * Mongo filter for transaction listings and exports, from the
+ * transactionQueryValidation parameters. Players only ever see their own
+ * transactions; `direction` and `counterpartyId` are relative to the player,
+ * or to `userId` for admins.
+ */
+export const buildTransactionFilter = (params, user) => {
+  const {
+    fromDate,
+    toDate,
+    status,
+    type,
+    userId,
+    minAmount,
+    maxAmount,
+    batchId,
+    adminId,
+    counterpartyId,
+    direction,
+    reversalStatus,
+    search,
+  } = params;
+  const filter = {};
+  const and = [];
+
+  const subject = user.role === "Player" ? user._id : userId;
+  const subjectId = subject ? toObjectId(subject) : null;
+
+  if (direction && !subjectId) {
+    throw new TransactionFilterError("direction requires userId");
+  }
+
+  if (direction === "credit") {
+    filter.toUserId = subjectId;
+  } else if (direction === "debit") {
+    filter.fromUserId = subjectId;
+  } else if (subjectId) {
+    and.push({ $or: [{ fromUserId: subjectId }, { toUserId: subjectId }] });
+  }
+
+  if (counterpartyId) {
+    const counterparty = toObjectId(counterpartyId);
+    if (direction === "credit") {
+      filter.fromUserId = counterparty;
+    } else if (direction === "debit") {
+      filter.toUserId = counterparty;
+    } else if (subjectId) {
+      and.push({
+        $or: [
+          { fromUserId: subjectId, toUserId: counterparty },
+          { fromUserId: counterparty, toUserId: subjectId },
+        ],
+      });
+    } else {
+      and.push({ $or: [{ fromUserId: counterparty }, { toUserId: counterparty }] });
+    }
+  }
+
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (batchId) filter.batchId = batchId;
+  if (adminId) filter.adminId = toObjectId(adminId);
+  if (reversalStatus) and.push(REVERSAL_STATUS_FILTERS[reversalStatus]);
+
+  if (minAmount || maxAmount) {
+    filter.amount = {};
+    if (minAmount) filter.amount.$gte = toDecimal128(minAmount);
+    if (maxAmount) filter.amount.$lte = toDecimal128(maxAmount);
+  }
+
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = new Date(fromDate);
+    if (toDate) filter.createdAt.$lte = new Date(toDate);
+  }
+
+  if (search) filter.$text = { $search: search };
+
+  if (and.length > 0) filter.$and = and;
+  return filter;
+};
+
+/**
+ * Opaque keyset cursor over the (createdAt, _id) listing order.
+ */
+export const encodeTransactionCursor = (tx) =>
+  Buffer.from(JSON.stringify({ c: tx.createdAt.toISOString(), i: tx._id.toString() })).toString("base64url");
+
+export const decodeTransactionCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const createdAt = new Date(c);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) throw new Error();
+    return { createdAt, _id: toObjectId(i) };
+  } catch (err) {
+    throw new TransactionFilterError("Invalid cursor");
+  }
+};
+
+/**
+ * Filter clause for the page after `cursor` in newest-first order.
+ */
+export const afterTransactionCursor = (cursor) => {
+  const { createdAt, _id } = decodeTransactionCursor(cursor);
+  return {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: _id } },
+    ],
+  };
+};
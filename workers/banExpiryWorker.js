@@ -0,0 +1,81 @@
+import { Worker } from "bullmq";
+import mongoose from "mongoose";
+import { banExpiryQueue, queueConnection } from "../config/queue.js";
+import { getSocketServer } from "../config/socket.js";
+import User from "../models/User.js";
+import { expiredBansFilter, liftExpiredBan } from "../utils/bans.js";
+import logger from "../utils/logger.js";
+import redis from "../config/redis.js";
+
+const BAN_EXPIRY_SWEEP_MINUTES = 1;
+
+/**
+ * Lift every timed ban that has run out. Each ban is re-checked in its own
+ * transaction, so one an admin lifted in the meantime is left alone.
+ */
+const liftExpiredBans = async () => {
+  const io = getSocketServer();
+  const session = await mongoose.startSession();
+  let lifted = 0;
+
+  try {
+    const cursor = User.find(expiredBansFilter()).select("_id").lean().cursor();
+    for await (const { _id } of cursor) {
+      let user = null;
+      await session.withTransaction(async () => {
+        user = await liftExpiredBan(_id, session);
+      });
+      if (!user) continue;
+
+      lifted++;
+      logger.info(`Timed ban expired: ${user.email}`);
+      if (io) {
+        io.emit("userUnbanned", { userId: user._id.toString(), automatic: true });
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+
+  return { lifted };
+};
+
+let worker = null;
+
+const initializeWorker = async () => {
+  if (worker) return worker;
+
+  try {
+    if (!redis || redis.status !== "ready" || !banExpiryQueue) {
+      logger.warn("Ban expiry worker not initialized - Redis not available");
+      return null;
+    }
+
+    worker = new Worker("ban-expiry", liftExpiredBans, {
+      connection: queueConnection,
+      concurrency: 1,
+    });
+
+    worker.on("failed", (job, err) => {
+      logger.error(`Ban expiry job ${job?.id} failed:`, err);
+    });
+
+    await banExpiryQueue.upsertJobScheduler(
+      "ban-expiry-sweep",
+      { every: BAN_EXPIRY_SWEEP_MINUTES * 60 * 1000 },
+      { name: "lift-expired-bans" }
+    );
+
+    logger.info("Ban expiry worker initialized");
+    return worker;
+  } catch (error) {
+    logger.warn("Ban expiry worker initialization failed:", error.message);
+    return null;
+  }
+};
+
+setTimeout(() => {
+  initializeWorker();
+}, 2000);
+
+export default worker;
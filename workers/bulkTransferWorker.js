@@ -2,12 +2,400 @@ import { Worker } from "bullmq";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
-import { invalidateBalanceCache, setIdempotency } from "../utils/cache.js";
+import BulkTransferBatch from "../models/BulkTransferBatch.js";
+import BulkTransferRow from "../models/BulkTransferRow.js";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import { enqueueChunk, refreshBatchCounts } from "../utils/bulkTransferChunks.js";
 import logger from "../utils/logger.js";
 import redis from "../config/redis.js";
+import { queueConnection } from "../config/queue.js";
+import {
+  parseChipAmount,
+  addChips,
+  subtractChips,
+  compareChips,
+  toDecimal128,
+} from "../utils/chipAmount.js";
+import { SYSTEM_ACCOUNTS, userAccount, postTransactionJournal } from "../utils/ledger.js";
+import { applyReversal, ReversalError } from "../utils/reversal.js";
 
-const compareDecimal = (a, b) => {
-  return Number(a.toString()) - Number(b.toString());
+const PROGRESS_INTERVAL = 100;
+
+// A row that cannot be applied (missing user, insufficient balance, ...).
+// Anything else thrown while applying a row is an infrastructure error.
+class RowRejectedError extends Error {}
+
+// The row was no longer pending when we tried to commit it: the batch was
+// cancelled while this chunk was running
+class RowCancelledError extends Error {}
+
+// Each row's transaction carries this key as a second guard against
+// applying a row twice
+const rowIdempotencyKey = (batchId, transfer) => `${batchId}:${transfer.row}`;
+
+const toTransfer = (row) => ({
+  row: row.rowNumber,
+  fromUserId: row.fromUserId ? row.fromUserId.toString() : null,
+  toUserId: row.toUserId.toString(),
+  amount: row.amount,
+  reason: row.reason,
+});
+
+const markRow = (row, update, session) => {
+  return BulkTransferRow.updateOne({ _id: row._id }, { $set: update }, { session });
+};
+
+// Mark a pending row as succeeded inside the row's transaction; if the row
+// was cancelled meanwhile the transaction must not commit
+const commitRow = async (row, transactionId, session) => {
+  const result = await BulkTransferRow.updateOne(
+    { _id: row._id, status: "pending" },
+    { $set: { status: "succeeded", error: null, transactionId } },
+    { session }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new RowCancelledError("Batch cancelled");
+  }
+};
+
+/**
+ * Apply one row inside the given session. Throws RowRejectedError when the
+ * row itself is invalid.
+ */
+const applyTransfer = async (transfer, { batchId, adminId, adminIp, adminUserAgent }, session) => {
+  const { fromUserId, toUserId, reason } = transfer;
+  let amount;
+  try {
+    amount = parseChipAmount(transfer.amount);
+  } catch (err) {
+    throw new RowRejectedError(err.message);
+  }
+
+  const receiver = await User.findById(toUserId).session(session);
+  let sender = null;
+
+  if (fromUserId) {
+    sender = await User.findById(fromUserId).session(session);
+
+    if (!sender || !receiver) {
+      throw new RowRejectedError("User not found");
+    }
+
+    if (fromUserId.toString() === toUserId.toString()) {
+      throw new RowRejectedError("Cannot transfer to the same user");
+    }
+
+    if (compareChips(sender.balance, amount) < 0) {
+      throw new RowRejectedError("Insufficient balance");
+    }
+
+    sender.balance = toDecimal128(subtractChips(sender.balance, amount));
+    await sender.save({ session });
+  } else if (!receiver) {
+    throw new RowRejectedError("Receiver not found");
+  }
+
+  receiver.balance = toDecimal128(addChips(receiver.balance, amount));
+  await receiver.save({ session });
+
+  const tx = await Transaction.create(
+    [
+      {
+        fromUserId: fromUserId || null,
+        toUserId,
+        fromAccount: fromUserId ? userAccount(fromUserId) : SYSTEM_ACCOUNTS.MINT,
+        toAccount: userAccount(toUserId),
+        amount: toDecimal128(amount),
+        type: "manual",
+        status: "approved",
+        idempotencyKey: transfer.row !== undefined ? rowIdempotencyKey(batchId, transfer) : undefined,
+        reason,
+        batchId,
+        adminId,
+        adminIp,
+        adminUserAgent,
+      },
+    ],
+    { session }
+  );
+  await postTransactionJournal(tx[0], { session });
+
+  return tx[0];
+};
+
+/**
+ * Atomic mode: every row in one MongoDB transaction, committed together
+ * with the row outcomes. The first rejected row aborts the batch and nothing
+ * is written. Atomic batches are capped at BULK_ATOMIC_MAX_ROWS, so this is
+ * always a single chunk.
+ */
+const processAtomicChunk = async (rows, context) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    for (const row of rows) {
+      const transfer = toTransfer(row);
+      try {
+        const tx = await applyTransfer(transfer, context, session);
+        await commitRow(row, tx._id, session);
+      } catch (err) {
+        if (err instanceof RowCancelledError) {
+          await session.abortTransaction();
+          return { aborted: false, cancelled: true };
+        }
+        if (!(err instanceof RowRejectedError)) throw err;
+
+        await session.abortTransaction();
+        const abortReason = `Batch aborted: row ${transfer.row} failed (${err.message})`;
+        await BulkTransferRow.updateMany(
+          { batchId: context.batchId, status: "pending", _id: { $ne: row._id } },
+          { $set: { status: "skipped", error: abortReason, transactionId: null } }
+        );
+        await markRow(row, { status: "failed", error: err.message, transactionId: null });
+        return { aborted: true, abortReason };
+      }
+    }
+
+    await session.commitTransaction();
+    return { aborted: false };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Best-effort mode: each row commits in its own MongoDB transaction together
+ * with its "succeeded" mark, so the row table is an exact checkpoint. A
+ * restarted chunk only sees rows that are still pending.
+ */
+const processBestEffortChunk = async (job, rows, context, progressBase) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (const [index, row] of rows.entries()) {
+      if (index > 0 && index % PROGRESS_INTERVAL === 0) {
+        await job.updateProgress(progressBase(index));
+      }
+
+      const transfer = toTransfer(row);
+      try {
+        await session.withTransaction(async () => {
+          const tx = await applyTransfer(transfer, context, session);
+          await commitRow(row, tx._id, session);
+        });
+      } catch (err) {
+        if (err instanceof RowCancelledError) {
+          return { aborted: false, cancelled: true };
+        }
+        if (!(err instanceof RowRejectedError)) throw err;
+        await BulkTransferRow.updateOne(
+          { _id: row._id, status: "pending" },
+          { $set: { status: "failed", error: err.message, transactionId: null } }
+        );
+      }
+    }
+
+    return { aborted: false };
+  } finally {
+    session.endSession();
+  }
+};
+
+const processChunk = async (job) => {
+  const { batchId, chunkIndex } = job.data;
+
+  const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+  if (!batch) {
+    logger.warn(`Bulk transfer chunk ${job.id} skipped: batch not found`);
+    return { skipped: true };
+  }
+
+  // Re-running a chunk is safe: only rows still pending are applied
+  if (!["queued", "processing"].includes(batch.status)) {
+    logger.info(`Bulk transfer chunk ${job.id} skipped: batch is ${batch.status}`);
+    return { skipped: true };
+  }
+
+  await BulkTransferBatch.updateOne(
+    { batchId },
+    {
+      $set: { status: "processing", error: null },
+      ...(batch.startedAt ? {} : { $currentDate: { startedAt: true } }),
+    }
+  );
+
+  const context = {
+    batchId,
+    adminId: batch.adminId,
+    adminIp: batch.adminIp,
+    adminUserAgent: batch.adminUserAgent,
+  };
+
+  const rows = await BulkTransferRow.find({ batchId, chunkIndex, status: "pending" })
+    .sort({ rowNumber: 1 })
+    .lean();
+
+  const progressBase = (index) => Math.round(
+    ((chunkIndex + index / Math.max(rows.length, 1)) / batch.totalChunks) * 100
+  );
+
+  let result;
+  try {
+    result = batch.mode === "atomic"
+      ? await processAtomicChunk(rows, context)
+      : await processBestEffortChunk(job, rows, context, progressBase);
+  } catch (error) {
+    await BulkTransferBatch.updateOne({ batchId }, { $set: { error: error.message } });
+    logger.error(`Bulk transfer chunk ${job.id} error:`, error);
+    throw error;
+  }
+
+  const userIds = [
+    ...new Set(
+      rows
+        .flatMap((r) => [r.fromUserId, r.toUserId])
+        .filter(Boolean)
+        .map((id) => id.toString())
+    ),
+  ];
+  await invalidateBalanceCache(userIds);
+
+  const { status: currentStatus } = await BulkTransferBatch.findOne({ batchId }).select("status").lean();
+  if (result.cancelled || currentStatus === "cancelled") {
+    await refreshBatchCounts(batchId);
+    logger.info(`Bulk transfer batch ${batchId} cancelled during chunk ${chunkIndex}`);
+    return { batchId, chunkIndex, cancelled: true };
+  }
+
+  const isLastChunk = result.aborted || chunkIndex + 1 >= batch.totalChunks;
+  await BulkTransferBatch.updateOne({ batchId }, { $max: { lastCompletedChunk: chunkIndex } });
+
+  if (isLastChunk) {
+    const { failedCount } = await refreshBatchCounts(batchId);
+    let status = "completed";
+    if (result.aborted) status = "failed";
+    else if (failedCount > 0) status = "completed_with_errors";
+
+    await BulkTransferBatch.updateOne(
+      { batchId },
+      { $set: { status, completedAt: new Date(), error: result.abortReason || null } }
+    );
+    await job.updateProgress(100);
+
+    logger.info(`Bulk transfer batch ${batchId} (${batch.mode}) finished: ${status}`);
+  } else {
+    await refreshBatchCounts(batchId);
+    await job.updateProgress(progressBase(rows.length));
+    await enqueueChunk(batchId, chunkIndex + 1);
+  }
+
+  return { batchId, chunkIndex, rows: rows.length, aborted: result.aborted };
+};
+
+/**
+ * Roll back every committed row of a batch, each reversal in its own MongoDB
+ * transaction. Rows that cannot be reversed (e.g. the recipient already
+ * spent the chips) are recorded and the rest still go through.
+ */
+const processBatchReversal = async (job) => {
+  const { batchId } = job.data;
+
+  const batch = await BulkTransferBatch.findOne({ batchId }).lean();
+  if (!batch || !batch.reversal?.status) {
+    logger.warn(`Bulk transfer reversal ${job.id} skipped: no reversal requested`);
+    return { skipped: true };
+  }
+
+  await BulkTransferBatch.updateOne({ batchId }, { $set: { "reversal.status": "processing", "reversal.error": null } });
+
+  const context = {
+    reason: batch.reversal.reason,
+    adminId: batch.reversal.requestedBy,
+    adminIp: batch.adminIp,
+    adminUserAgent: batch.adminUserAgent,
+    batchId: `${batchId}-reversal`,
+  };
+
+  const session = await mongoose.startSession();
+  const userIds = new Set();
+  let processed = 0;
+
+  try {
+    const cursor = BulkTransferRow.find({
+      batchId,
+      status: "succeeded",
+      reversalStatus: { $ne: "reversed" },
+    })
+      .sort({ rowNumber: 1 })
+      .lean()
+      .cursor();
+
+    for await (const row of cursor) {
+      try {
+        await session.withTransaction(async () => {
+          const originalTx = await Transaction.findById(row.transactionId).session(session);
+          if (!originalTx) {
+            throw new ReversalError("Transaction not found", 404);
+          }
+
+          const reversalTx = await applyReversal(originalTx, context, session);
+          await markRow(row, {
+            reversalStatus: "reversed",
+            reversalError: null,
+            reversalTransactionId: reversalTx._id,
+          }, session);
+        });
+        userIds.add(row.toUserId.toString());
+        if (row.fromUserId) userIds.add(row.fromUserId.toString());
+      } catch (err) {
+        if (!(err instanceof ReversalError)) throw err;
+        await markRow(row, { reversalStatus: "failed", reversalError: err.message });
+      }
+
+      processed++;
+      if (processed % PROGRESS_INTERVAL === 0) {
+        await job.updateProgress(Math.round((processed / Math.max(batch.successCount, 1)) * 100));
+      }
+    }
+  } catch (error) {
+    await BulkTransferBatch.updateOne({ batchId }, { $set: { "reversal.error": error.message } });
+    logger.error(`Bulk transfer reversal ${batchId} error:`, error);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await invalidateBalanceCache([...userIds]);
+
+  const [reversedCount, failedCount] = await Promise.all([
+    BulkTransferRow.countDocuments({ batchId, reversalStatus: "reversed" }),
+    BulkTransferRow.countDocuments({ batchId, reversalStatus: "failed" }),
+  ]);
+
+  const status = failedCount > 0 ? "completed_with_errors" : "completed";
+  await BulkTransferBatch.updateOne(
+    { batchId },
+    {
+      $set: {
+        "reversal.status": status,
+        "reversal.reversedCount": reversedCount,
+        "reversal.failedCount": failedCount,
+        "reversal.completedAt": new Date(),
+      },
+    }
+  );
+  await job.updateProgress(100);
+
+  logger.info(`Bulk transfer batch ${batchId} reversed: ${reversedCount} reversed, ${failedCount} could not be reversed`);
+
+  return { batchId, reversedCount, failedCount };
 };
 
 let worker = null;
@@ -23,129 +411,9 @@ const initializeWorker = () => {
 
     worker = new Worker(
       "bulk-transfer",
-      async (job) => {
-        const { transfers, adminId, adminIp, adminUserAgent, batchId } = job.data;
-        const session = await mongoose.startSession();
-        session.startTransaction();
-
-        try {
-          const results = [];
-          const errors = [];
-
-          for (const transfer of transfers) {
-            try {
-              const { fromUserId, toUserId, amount, reason } = transfer;
-
-              if (fromUserId) {
-                const sender = await User.findById(fromUserId).session(session);
-                const receiver = await User.findById(toUserId).session(session);
-
-                if (!sender || !receiver) {
-                  errors.push({ transfer, error: "User not found" });
-                  continue;
-                }
-
-                const senderBalance = sender.balance || mongoose.Types.Decimal128.fromString("0");
-                if (compareDecimal(senderBalance, amount) < 0) {
-                  errors.push({ transfer, error: "Insufficient balance" });
-                  continue;
-                }
-
-                sender.balance = mongoose.Types.Decimal128.fromString(
-                  String(Number(senderBalance.toString()) - Number(amount.toString()))
-                );
-                receiver.balance = mongoose.Types.Decimal128.fromString(
-                  String(
-                    Number((receiver.balance || mongoose.Types.Decimal128.fromString("0")).toString()) +
-                      Number(amount.toString())
-                  )
-                );
-
-                await sender.save({ session });
-                await receiver.save({ session });
-
-                const tx = await Transaction.create(
-                  [
-                    {
-                      fromUserId,
-                      toUserId,
-                      amount,
-                      type: "manual",
-                      status: "approved",
-                      reason,
-                      batchId,
-                      adminId,
-                      adminIp,
-                      adminUserAgent,
-                    },
-                  ],
-                  { session }
-                );
-
-                results.push(tx[0]._id.toString());
-              } else {
-                const receiver = await User.findById(toUserId).session(session);
-                if (!receiver) {
-                  errors.push({ transfer, error: "Receiver not found" });
-                  continue;
-                }
-
-                receiver.balance = mongoose.Types.Decimal128.fromString(
-                  String(
-                    Number((receiver.balance || mongoose.Types.Decimal128.fromString("0")).toString()) +
-                      Number(amount.toString())
-                  )
-                );
-
-                await receiver.save({ session });
-
-                const tx = await Transaction.create(
-                  [
-                    {
-                      fromUserId: null,
-                      toUserId,
-                      amount,
-                      type: "manual",
-                      status: "approved",
-                      reason,
-                      batchId,
-                      adminId,
-                      adminIp,
-                      adminUserAgent,
-                    },
-                  ],
-                  { session }
-                );
-
-                results.push(tx[0]._id.toString());
-              }
-            } catch (err) {
-              errors.push({ transfer, error: err.message });
-            }
-          }
-
-          await session.commitTransaction();
-
-          const userIds = [...new Set(transfers.map((t) => t.toUserId?.toString()).filter(Boolean))];
-          await invalidateBalanceCache(userIds);
-
-          logger.info(`Bulk transfer completed: batch ${batchId}, ${results.length} successful, ${errors.length} failed`);
-
-          return { success: results.length, failed: errors.length, errors };
-        } catch (error) {
-          await session.abortTransaction();
-          logger.error("Bulk transfer worker error:", error);
-          throw error;
-        } finally {
-          session.endSession();
-        }
-      },
+      (job) => (job.name === "reverse-bulk-batch" ? processBatchReversal(job) : processChunk(job)),
       {
-        connection: {
-          host: process.env.REDIS_HOST || "localhost",
-          port: process.env.REDIS_PORT || 6379,
-          password: process.env.REDIS_PASSWORD || undefined,
-        },
+        connection: queueConnection,
         concurrency: 1,
       }
     );
@@ -154,8 +422,25 @@ const initializeWorker = () => {
       logger.info(`Bulk transfer job ${job.id} completed`);
     });
 
-    worker.on("failed", (job, err) => {
+    worker.on("failed", async (job, err) => {
       logger.error(`Bulk transfer job ${job?.id} failed:`, err);
+
+      // Out of retries: park the batch as failed; committed rows stay and
+      // the batch can be resumed from its checkpoint
+      if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+        try {
+          if (job.name === "reverse-bulk-batch") {
+            await BulkTransferBatch.updateOne(
+              { batchId: job.data.batchId },
+              { $set: { "reversal.status": "failed", "reversal.error": err.message } }
+            );
+            return;
+          }
+          await refreshBatchCounts(job.data.batchId, { status: "failed", error: err.message });
+        } catch (updateErr) {
+          logger.error(`Failed to mark bulk transfer batch ${job.data.batchId} as failed:`, updateErr);
+        }
+      }
     });
 
     logger.info("Bulk transfer worker initialized");
@@ -0,0 +1,169 @@
+import { Worker } from "bullmq";
+import { dailyMintQueue, queueConnection } from "../config/queue.js";
+import { getSocketServer } from "../config/socket.js";
+import {
+  DAILY_MINT_TIME,
+  startDailyMint,
+  processDailyMintRun,
+  markDailyMintFailed,
+  processDailyMintReversal,
+  markDailyMintReversalFailed,
+  DailyMintError,
+} from "../utils/dailyMint.js";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import logger from "../utils/logger.js";
+import redis from "../config/redis.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Scheduled mint: queue today's run. A run that already happened today
+ * (e.g. an admin ran it by hand) is skipped rather than failed.
+ */
+const startScheduledMint = async () => {
+  try {
+    const { run, resumed } = await startDailyMint({ trigger: "scheduled" });
+    logger.info(`Scheduled daily mint ${resumed ? "resumed" : "queued"}: ${run.batchId}`);
+    return { runId: run._id.toString(), batchId: run.batchId };
+  } catch (err) {
+    if (!(err instanceof DailyMintError)) throw err;
+    logger.info(`Scheduled daily mint skipped: ${err.message}`);
+    return { skipped: true, reason: err.message };
+  }
+};
+
+/**
+ * Credit a queued run chunk by chunk, reporting progress after each
+ * committed chunk. Returns the run summary.
+ */
+const processRun = async (job) => {
+  const io = getSocketServer();
+
+  const run = await processDailyMintRun(job.data.runId, {
+    onChunk: async (progress, userIds) => {
+      await invalidateBalanceCache(userIds);
+      if (io) {
+        io.emit("balanceUpdated", { userIds });
+      }
+      await job.updateProgress(
+        Math.min(Math.round((progress.recipientCount / Math.max(progress.estimatedRecipients, 1)) * 100), 99)
+      );
+    },
+  });
+
+  await job.updateProgress(100);
+
+  if (run.status === "completed" && io) {
+    io.emit("dailyMintCompleted", { batchId: run.batchId, count: run.recipientCount });
+  }
+
+  logger.info(`Daily mint ${run.batchId} ${run.status}: ${run.recipientCount} users, ${run.totalAmount} chips`);
+  return {
+    runId: run._id.toString(),
+    batchId: run.batchId,
+    status: run.status,
+    recipientCount: run.recipientCount,
+    totalAmount: run.totalAmount,
+    tiers: run.tiers,
+  };
+};
+
+/**
+ * Roll back a mint batch, reporting progress as the cursor advances.
+ * Returns the reversal summary.
+ */
+const reverseRun = async (job) => {
+  const io = getSocketServer();
+
+  const run = await processDailyMintReversal(job.data.runId, {
+    onProgress: async (progress, userIds) => {
+      await invalidateBalanceCache(userIds);
+      if (io && userIds.length > 0) {
+        io.emit("balanceUpdated", { userIds });
+      }
+      const { reversedCount, failedCount, estimatedCount } = progress.reversal;
+      await job.updateProgress(
+        Math.min(Math.round(((reversedCount + failedCount) / Math.max(estimatedCount, 1)) * 100), 99)
+      );
+    },
+  });
+
+  await job.updateProgress(100);
+
+  const { status, reversedCount, failedCount } = run.reversal;
+  logger.info(`Daily mint ${run.batchId} reversal ${status}: ${reversedCount} reversed, ${failedCount} could not be reversed`);
+  return { runId: run._id.toString(), batchId: run.batchId, status, reversedCount, failedCount };
+};
+
+const JOB_HANDLERS = {
+  "process-daily-mint": processRun,
+  "reverse-daily-mint": reverseRun,
+};
+
+let worker = null;
+
+const initializeWorker = async () => {
+  if (worker) return worker;
+
+  try {
+    if (!redis || redis.status !== "ready" || !dailyMintQueue) {
+      logger.warn("Daily mint worker not initialized - Redis not available");
+      return null;
+    }
+
+    worker = new Worker(
+      "daily-mint",
+      (job) => (JOB_HANDLERS[job.name] ? JOB_HANDLERS[job.name](job) : startScheduledMint()),
+      {
+        connection: queueConnection,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("failed", async (job, err) => {
+      logger.error(`Daily mint job ${job?.id} failed:`, err);
+
+      // Out of retries: park the run (or its reversal) as failed; committed
+      // work stays and a new request continues from the checkpoint
+      if (JOB_HANDLERS[job?.name] && job.attemptsMade >= (job.opts.attempts || 1)) {
+        try {
+          if (job.name === "reverse-daily-mint") {
+            await markDailyMintReversalFailed(job.data.runId, err.message);
+          } else {
+            await markDailyMintFailed(job.data.runId, err.message);
+          }
+        } catch (updateErr) {
+          logger.error(`Failed to mark daily mint run ${job.data.runId} as failed:`, updateErr);
+        }
+      }
+    });
+
+    const time = DAILY_MINT_TIME && TIME_PATTERN.exec(DAILY_MINT_TIME);
+    if (time) {
+      const [, hours, minutes] = time;
+      await dailyMintQueue.upsertJobScheduler(
+        "scheduled-daily-mint",
+        { pattern: `${Number(minutes)} ${Number(hours)} * * *`, tz: "UTC" },
+        { name: "scheduled-daily-mint" }
+      );
+      logger.info(`Daily mint scheduled at ${DAILY_MINT_TIME} UTC`);
+    } else {
+      await dailyMintQueue.removeJobScheduler("scheduled-daily-mint");
+      if (DAILY_MINT_TIME) {
+        logger.warn(`Invalid DAILY_MINT_TIME "${DAILY_MINT_TIME}" (expected HH:MM); scheduled daily mint disabled`);
+      }
+    }
+
+    logger.info("Daily mint worker initialized");
+    return worker;
+  } catch (error) {
+    logger.warn("Daily mint worker initialization failed:", error.message);
+    return null;
+  }
+};
+
+setTimeout(() => {
+  initializeWorker();
+}, 2000);
+
+export default worker;
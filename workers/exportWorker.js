@@ -0,0 +1,90 @@
+import { Worker } from "bullmq";
+import { exportQueue, queueConnection } from "../config/queue.js";
+import ExportJob from "../models/ExportJob.js";
+import User from "../models/User.js";
+import { buildExport, removeExpiredExports } from "../utils/transactionExport.js";
+import logger from "../utils/logger.js";
+import redis from "../config/redis.js";
+
+const EXPORT_CLEANUP_INTERVAL_MINUTES = 60;
+
+const processExport = async (job) => {
+  const exportJob = await ExportJob.findById(job.data.exportJobId).lean();
+  if (!exportJob || !["queued", "processing"].includes(exportJob.status)) {
+    logger.warn(`Export job ${job.data.exportJobId} skipped: not pending`);
+    return { skipped: true };
+  }
+
+  const requester = await User.findById(exportJob.requestedBy).select("role").lean();
+  if (!requester) {
+    throw new Error("Requesting user no longer exists");
+  }
+
+  const result = await buildExport(exportJob, requester, {
+    onProgress: (progress) => job.updateProgress(progress),
+  });
+  await job.updateProgress(100);
+
+  logger.info(`Export ${exportJob._id} (${exportJob.format}) completed: ${result.rowCount} rows`);
+  return { exportJobId: exportJob._id.toString(), rowCount: result.rowCount };
+};
+
+let worker = null;
+
+const initializeWorker = async () => {
+  if (worker) return worker;
+
+  try {
+    if (!redis || redis.status !== "ready" || !exportQueue) {
+      logger.warn("Export worker not initialized - Redis not available");
+      return null;
+    }
+
+    worker = new Worker(
+      "transaction-export",
+      async (job) => {
+        if (job.name === "cleanup-expired-exports") {
+          return { removed: await removeExpiredExports() };
+        }
+        return processExport(job);
+      },
+      {
+        connection: queueConnection,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("failed", async (job, err) => {
+      logger.error(`Export job ${job?.id} failed:`, err);
+
+      if (job?.name === "build-export" && job.attemptsMade >= (job.opts.attempts || 1)) {
+        try {
+          await ExportJob.updateOne(
+            { _id: job.data.exportJobId },
+            { $set: { status: "failed", error: err.message, completedAt: new Date() } }
+          );
+        } catch (updateError) {
+          logger.error(`Failed to mark export ${job.data.exportJobId} as failed:`, updateError);
+        }
+      }
+    });
+
+    await exportQueue.upsertJobScheduler(
+      "expired-export-cleanup",
+      { every: EXPORT_CLEANUP_INTERVAL_MINUTES * 60 * 1000 },
+      { name: "cleanup-expired-exports" }
+    );
+
+    logger.info("Export worker initialized");
+    return worker;
+  } catch (error) {
+    logger.warn("Export worker initialization failed:", error.message);
+    return null;
+  }
+};
+
+setTimeout(() => {
+  initializeWorker();
+}, 2000);
+
+export default worker;
@@ -0,0 +1,73 @@
+import { Worker } from "bullmq";
+import { reconciliationQueue, queueConnection } from "../config/queue.js";
+import { runReconciliation } from "../utils/reconciliation.js";
+import logger from "../utils/logger.js";
+import redis from "../config/redis.js";
+
+// 0 disables the scheduled run; the admin endpoint still works
+const RECONCILIATION_INTERVAL_MINUTES = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES || "60", 10);
+
+let worker = null;
+
+const initializeWorker = async () => {
+  if (worker) return worker;
+
+  try {
+    if (!redis || redis.status !== "ready" || !reconciliationQueue) {
+      logger.warn("Reconciliation worker not initialized - Redis not available");
+      return null;
+    }
+
+    worker = new Worker(
+      "ledger-reconciliation",
+      async (job) => {
+        // Admin runs come with the report they queued; scheduled runs create one
+        const report = await runReconciliation(
+          job.data?.reportId ? { reportId: job.data.reportId } : { trigger: "scheduled" }
+        );
+        return {
+          reportId: report._id.toString(),
+          usersChecked: report.usersChecked,
+          discrepancyCount: report.discrepancyCount,
+        };
+      },
+      {
+        connection: queueConnection,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      if (result?.discrepancyCount > 0) {
+        logger.warn(`Reconciliation ${result.reportId} found ${result.discrepancyCount} discrepancies`);
+      }
+    });
+
+    worker.on("failed", (job, err) => {
+      logger.error(`Reconciliation job ${job?.id} failed:`, err);
+    });
+
+    if (RECONCILIATION_INTERVAL_MINUTES > 0) {
+      await reconciliationQueue.upsertJobScheduler(
+        "scheduled-reconciliation",
+        { every: RECONCILIATION_INTERVAL_MINUTES * 60 * 1000 },
+        { name: "reconcile-ledger" }
+      );
+      logger.info(`Reconciliation scheduled every ${RECONCILIATION_INTERVAL_MINUTES} minutes`);
+    } else {
+      await reconciliationQueue.removeJobScheduler("scheduled-reconciliation");
+    }
+
+    logger.info("Reconciliation worker initialized");
+    return worker;
+  } catch (error) {
+    logger.warn("Reconciliation worker initialization failed:", error.message);
+    return null;
+  }
+};
+
+setTimeout(() => {
+  initializeWorker();
+}, 2000);
+
+export default worker;
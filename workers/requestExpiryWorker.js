@@ -0,0 +1,98 @@
+import { Worker } from "bullmq";
+import mongoose from "mongoose";
+import { requestExpiryQueue, queueConnection } from "../config/queue.js";
+import { getSocketServer } from "../config/socket.js";
+import Transaction from "../models/Transaction.js";
+import {
+  REQUEST_EXPIRY_HOURS,
+  expiredRequestsFilter,
+  expirePendingRequest,
+} from "../utils/requestDecision.js";
+import logger from "../utils/logger.js";
+import redis from "../config/redis.js";
+
+const REQUEST_EXPIRY_SWEEP_MINUTES = 5;
+
+/**
+ * Move every pending request past its expiry to "expired". Each request is
+ * re-checked in its own transaction, so one an admin decided in the
+ * meantime is left alone.
+ */
+const expireRequests = async () => {
+  const io = getSocketServer();
+  const session = await mongoose.startSession();
+  let expired = 0;
+
+  try {
+    const cursor = Transaction.find(expiredRequestsFilter()).select("_id").lean().cursor();
+    for await (const { _id } of cursor) {
+      let requestTx = null;
+      await session.withTransaction(async () => {
+        requestTx = await expirePendingRequest(_id, session);
+      });
+      if (!requestTx) continue;
+
+      expired++;
+      if (io) {
+        io.emit("requestStatusChanged", {
+          transactionId: requestTx._id.toString(),
+          status: requestTx.status,
+          userIds: [requestTx.fromUserId.toString(), requestTx.toUserId.toString()],
+        });
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} pending transfer requests`);
+  }
+  return { expired };
+};
+
+let worker = null;
+
+const initializeWorker = async () => {
+  if (worker) return worker;
+
+  try {
+    if (!redis || redis.status !== "ready" || !requestExpiryQueue) {
+      logger.warn("Request expiry worker not initialized - Redis not available");
+      return null;
+    }
+
+    if (REQUEST_EXPIRY_HOURS <= 0) {
+      await requestExpiryQueue.removeJobScheduler("request-expiry-sweep");
+      logger.info("Request expiry disabled");
+      return null;
+    }
+
+    worker = new Worker("request-expiry", expireRequests, {
+      connection: queueConnection,
+      concurrency: 1,
+    });
+
+    worker.on("failed", (job, err) => {
+      logger.error(`Request expiry job ${job?.id} failed:`, err);
+    });
+
+    await requestExpiryQueue.upsertJobScheduler(
+      "request-expiry-sweep",
+      { every: REQUEST_EXPIRY_SWEEP_MINUTES * 60 * 1000 },
+      { name: "expire-requests" }
+    );
+
+    logger.info(`Request expiry worker initialized (requests expire after ${REQUEST_EXPIRY_HOURS}h)`);
+    return worker;
+  } catch (error) {
+    logger.warn("Request expiry worker initialization failed:", error.message);
+    return null;
+  }
+};
+
+setTimeout(() => {
+  initializeWorker();
+}, 2000);
+
+export default worker;